@@ -1,5 +1,7 @@
 import { GameRuntime } from '../runtime/gameRuntime.js';
 import { LevelEditor } from '../engine/editor/levelEditor.js';
+import { GamepadInput } from '../runtime/gamepad.js';
+import { TouchControls } from '../runtime/touchControls.js';
 
 export class GameApplication {
   constructor({ canvasId = 'gfx', hudId = 'hud' } = {}) {
@@ -10,6 +12,8 @@ export class GameApplication {
     this.hudElement = null;
     this.runtime = null;
     this.editor = null;
+    this.gamepad = new GamepadInput();
+    this.touchControls = new TouchControls();
 
     this.lastFrameTime = 0;
     this.animationFrameHandle = null;
@@ -35,13 +39,19 @@ export class GameApplication {
     await this.runtime.initialize();
 
     this.editor = new LevelEditor(this.runtime, {
-      onModeChange: () => this.updateHud(0),
+      onModeChange: (editMode) => {
+        this.touchControls.setEditMode(editMode);
+        this.updateHud(0);
+      },
     });
     this.editor.initialize();
+    this.touchControls.attach();
+    this.touchControls.setEditMode(this.editor.isEditMode());
 
     window.addEventListener('keydown', this.boundOnKeyDown);
     window.addEventListener('keyup', this.boundOnKeyUp);
     window.addEventListener('resize', this.boundOnResize);
+    this.gamepad.attach();
 
     this.runtime.resize();
     this.updateHud(0);
@@ -55,6 +65,8 @@ export class GameApplication {
     window.removeEventListener('keydown', this.boundOnKeyDown);
     window.removeEventListener('keyup', this.boundOnKeyUp);
     window.removeEventListener('resize', this.boundOnResize);
+    this.gamepad.detach();
+    this.touchControls.detach();
 
     if (this.editor) {
       this.editor.teardown?.();
@@ -89,6 +101,9 @@ export class GameApplication {
     const dt = Math.min(Math.max(rawDelta, 0), this.runtime.getMaxDelta());
     this.lastFrameTime = time;
 
+    // Gamepads are only readable by polling, once per frame like the keys
+    this.runtime.setInputSource('gamepad', this.gamepad.poll());
+    this.runtime.setInputSource('touch', this.touchControls.getActions());
     this.runtime.update(dt, this.editor.isEditMode());
 
     const overlays = this.editor.getOverlayDrawables();
@@ -109,6 +124,7 @@ export class GameApplication {
       selectedShape: this.editor.getSelectedShape(),
       selectedRotation: this.editor.getSelectedRotation(),
       activeLayer: this.editor.getActiveLayer(),
+      gamepads: this.gamepad.getConnectedCount(),
     });
   }
 }
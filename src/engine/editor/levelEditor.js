@@ -1,4 +1,32 @@
-import { brick, removeBrick, pointInBrick } from '../../physics/index.js';
+import {
+  brick,
+  removeBrick,
+  updateBrick,
+  queryPoint,
+  createPolygonFromWorldPoints,
+  isSimplePolygon,
+  MIN_POLYGON_POINTS,
+  setBrickStatic,
+  setBrickOneWay,
+  setBrickSensor,
+  setBrickKinematic,
+  PATH_MODES,
+  setBrickMaterial,
+  MATERIALS,
+  setBrickGravityZone,
+  setBrickFluid,
+  FLUIDS,
+  setBrickWind,
+  setBrickAttractor,
+  setBrickBreakable,
+  DEFAULT_BREAKABLE,
+  setWorldSettings,
+  DEFAULT_WORLD_SETTINGS,
+  BOUND_MODES,
+  createJoint,
+  removeJoint,
+  JOINT_TYPES,
+} from '../../physics/index.js';
 
 const DEFAULT_COLORS = [
   [0.9, 0.3, 0.3, 1.0],
@@ -16,8 +44,33 @@ const DEFAULT_COLORS = [
 const MIN_BRICK_SIZE = 10;
 const HOVER_PADDING = 2;
 const SELECTION_PADDING = 4;
+const JOINT_PREVIEW_THICKNESS = 3;
+const PATH_HANDLE_SIZE = 16;
+const PATH_LINE_THICKNESS = 2;
+const POLYGON_CLOSE_DISTANCE = 12; // Click this close to the first vertex to close the polygon
+const POLYGON_HANDLE_SIZE = 10;
+const POLYGON_LINE_THICKNESS = 2;
+const BODY_TYPES = ['static', 'dynamic', 'kinematic'];
 const DEG2RAD = Math.PI / 180;
 const RAD2DEG = 180 / Math.PI;
+// Gravity presets of the panel as unit vectors ('none' is zero gravity)
+const GRAVITY_DIRECTIONS = {
+  down: { x: 0, y: 1 },
+  up: { x: 0, y: -1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  none: { x: 0, y: 0 },
+};
+const DEFAULT_GRAVITY_STRENGTH = Math.hypot(DEFAULT_WORLD_SETTINGS.gravity.x, DEFAULT_WORLD_SETTINGS.gravity.y);
+const DEFAULT_FORCE_ZONE_STRENGTH = 1200;
+// Wind zones of the panel blow along a gravity preset ('wind-left'...)
+const WIND_PREFIX = 'wind-';
+// Color a brick takes when it becomes one of the panel's fluids
+const FLUID_TINTS = {
+  water: [0.2, 0.5, 0.95, 1.0],
+  oil: [0.55, 0.45, 0.1, 1.0],
+  honey: [0.95, 0.65, 0.1, 1.0],
+};
 
 function normalizeColor(color) {
   if (!Array.isArray(color)) {
@@ -30,6 +83,66 @@ function normalizeColor(color) {
   return [r, g, b, a];
 }
 
+function gravityFromDirection(direction, strength) {
+  const unit = GRAVITY_DIRECTIONS[direction] ?? GRAVITY_DIRECTIONS.down;
+  return { x: unit.x * strength, y: unit.y * strength };
+}
+
+// Panel preset matching a brick's fluid, 'custom' if its values were tuned
+function describeFluid(fluid) {
+  const name = Object.keys(FLUIDS).find((key) => (
+    FLUIDS[key].density === fluid.density &&
+    FLUIDS[key].linearDrag === fluid.linearDrag &&
+    FLUIDS[key].angularDrag === fluid.angularDrag
+  ));
+  return name || 'custom';
+}
+
+// Panel option for a brick's wind or attractor ('off' if it has neither)
+function describeForceZone(brick) {
+  if (brick.wind) {
+    const { direction, strength } = describeGravity(brick.wind);
+    return { kind: `${WIND_PREFIX}${direction}`, strength };
+  }
+  if (brick.attractor != null) {
+    return { kind: brick.attractor > 0 ? 'attract' : 'repel', strength: Math.abs(brick.attractor) };
+  }
+  return { kind: 'off', strength: 0 };
+}
+
+// Closest panel preset to a gravity vector, plus its strength
+function describeGravity(gravity) {
+  const strength = Math.hypot(gravity.x, gravity.y);
+  if (strength < 1e-6) {
+    return { direction: 'none', strength: 0 };
+  }
+  let direction = 'down';
+  let best = -Infinity;
+  Object.entries(GRAVITY_DIRECTIONS).forEach(([name, unit]) => {
+    const alignment = (gravity.x * unit.x + gravity.y * unit.y) / strength;
+    if (alignment > best) {
+      best = alignment;
+      direction = name;
+    }
+  });
+  return { direction, strength };
+}
+
+// Thin rotated rect between two points, used to preview joints
+function makeSegmentOverlay(from, to, thickness, color, depthIndex) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  return {
+    x: (from.x + to.x) / 2 - length / 2,
+    y: (from.y + to.y) / 2 - thickness / 2,
+    w: length,
+    h: thickness,
+    shape: 'rect',
+    color,
+    rotation: Math.atan2(to.y - from.y, to.x - from.x),
+    depthIndex,
+  };
+}
+
 function makeColorKey(color) {
   if (!Array.isArray(color)) {
     return '';
@@ -60,6 +173,28 @@ export class LevelEditor {
     const initialColor = this.palette[0] ?? normalizeColor(DEFAULT_COLORS[0]);
     this.selectedColor = [...initialColor];
     this.selectedRotation = 0;
+    this.selectedBodyType = 'static';
+    this.selectedMaterial = 'default';
+    this.selectedOneWay = false;
+    this.selectedSensor = false;
+    this.selectedZoneGravity = 'off';
+    this.zoneGravityStrength = DEFAULT_GRAVITY_STRENGTH;
+    this.worldGravityDirection = 'down';
+    this.worldGravityStrength = DEFAULT_GRAVITY_STRENGTH;
+    this.selectedFluid = 'off';
+    this.selectedForceZone = 'off';
+    this.forceZoneStrength = DEFAULT_FORCE_ZONE_STRENGTH;
+    this.fluidDensity = FLUIDS.water.density;
+    this.fluidDrag = FLUIDS.water.linearDrag;
+    this.selectedBreakable = false;
+    this.breakableHealth = DEFAULT_BREAKABLE.health;
+    this.breakableFragments = DEFAULT_BREAKABLE.fragments;
+    this.breakableRespawn = DEFAULT_BREAKABLE.respawn;
+    this.draggedWaypoint = null;
+    this.selectedJointType = null;
+    this.pendingJoint = null;
+    this.polygonDraft = null;
+    this.pointerWorld = null;
 
     this.ghostBrick = null;
     this.dragStart = null;
@@ -67,6 +202,7 @@ export class LevelEditor {
     this.hoverBrick = null;
     this.selectedBrick = null;
     this.cameraDrag = null;
+    this.rebinding = null;
 
     this.currentLayer = 0;
     this.layerBounds = { min: -20, max: 20 };
@@ -86,6 +222,47 @@ export class LevelEditor {
       paletteContainer: null,
       viewButtons: [],
       shapeButtons: [],
+      bodyTypeButtons: [],
+      oneWayButton: null,
+      sensorButton: null,
+      sensorTagInput: null,
+      pathSection: null,
+      pathModeButtons: [],
+      pathSpeedSlider: null,
+      pathSpeedValue: null,
+      materialButtons: [],
+      levelWidthSlider: null,
+      levelWidthValue: null,
+      levelHeightSlider: null,
+      levelHeightValue: null,
+      floorHeightSlider: null,
+      floorHeightValue: null,
+      boundsXButtons: [],
+      boundsYButtons: [],
+      worldGravityButtons: [],
+      worldGravitySlider: null,
+      worldGravityValue: null,
+      zoneGravityButtons: [],
+      zoneGravitySlider: null,
+      zoneGravityValue: null,
+      fluidButtons: [],
+      fluidDensitySlider: null,
+      fluidDensityValue: null,
+      fluidDragSlider: null,
+      fluidDragValue: null,
+      forceZoneButtons: [],
+      forceZoneSlider: null,
+      forceZoneValue: null,
+      breakableButtons: [],
+      breakableHealthSlider: null,
+      breakableHealthValue: null,
+      breakableFragmentsSlider: null,
+      breakableFragmentsValue: null,
+      breakableRespawnSlider: null,
+      breakableRespawnValue: null,
+      jointTypeButtons: [],
+      bindingButtons: [],
+      resetBindingsButton: null,
       paletteButtons: [],
     };
 
@@ -94,6 +271,7 @@ export class LevelEditor {
     this.onPointerUp = this.onPointerUp.bind(this);
     this.onWheel = this.onWheel.bind(this);
     this.onKeyDown = this.onKeyDown.bind(this);
+    this.onRebindKey = this.onRebindKey.bind(this);
     this.boundPreventContextMenu = (event) => event.preventDefault();
     this.saveRequestId = null;
   }
@@ -102,6 +280,9 @@ export class LevelEditor {
     this.buildUi();
     this.attachPointerEvents();
     window.addEventListener('keydown', this.onKeyDown);
+    // Capture phase: the key that is being bound must not reach the game or
+    // the editor shortcuts
+    window.addEventListener('keydown', this.onRebindKey, true);
     this.setViewMode(this.selectedViewMode, { applyToRuntime: true });
     this.syncEditCamera();
     return this;
@@ -115,6 +296,7 @@ export class LevelEditor {
     this.canvas.removeEventListener('wheel', this.onWheel);
     this.canvas.removeEventListener('contextmenu', this.boundPreventContextMenu);
     window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keydown', this.onRebindKey, true);
     if (this.saveRequestId !== null) {
       cancelAnimationFrame(this.saveRequestId);
       this.saveRequestId = null;
@@ -136,13 +318,23 @@ export class LevelEditor {
     this.setupViewControls();
     this.setupColorPalette();
     this.setupShapeButtons();
+    this.setupBodyTypeControls();
+    this.setupPathControls();
+    this.setupMaterialControls();
+    this.setupLevelControls();
+    this.setupGravityControls();
+    this.setupFluidControls();
+    this.setupForceZoneControls();
+    this.setupBreakableControls();
+    this.setupJointControls();
+    this.setupInputBindingControls();
     this.setupRotationControls();
     this.setupDepthControls();
     this.setupActionButtons();
 
     this.updateDepthUI();
     this.applyEditModeClasses();
-    this.updateDeleteButton();
+    this.updateSelectionControls();
   }
 
   setupPanelToggle() {
@@ -246,6 +438,367 @@ export class LevelEditor {
     this.updateShapeButtons(this.selectedShape);
   }
 
+  setupBodyTypeControls() {
+    const grid = document.getElementById('body-type-grid');
+    if (!grid) {
+      return;
+    }
+
+    this.ui.bodyTypeButtons = Array.from(grid.querySelectorAll('[data-body-type]'));
+    this.ui.bodyTypeButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedBodyType(button.dataset.bodyType || 'static');
+      });
+    });
+    this.updateBodyTypeButtons(this.selectedBodyType);
+
+    this.ui.oneWayButton = document.getElementById('one-way-toggle');
+    this.ui.oneWayButton?.addEventListener('click', () => {
+      this.setSelectedOneWay(!this.selectedOneWay);
+    });
+    this.updateOneWayButton(this.selectedOneWay);
+
+    this.ui.sensorButton = document.getElementById('sensor-toggle');
+    this.ui.sensorButton?.addEventListener('click', () => {
+      this.setSelectedSensor(!this.selectedSensor);
+    });
+    this.ui.sensorTagInput = document.getElementById('sensor-tag');
+    this.ui.sensorTagInput?.addEventListener('input', (event) => {
+      if (!this.selectedBrick) {
+        return;
+      }
+      this.selectedBrick.tag = event.target.value.trim();
+      this.scheduleSave();
+    });
+    this.updateSensorButton(this.selectedSensor);
+  }
+
+  setupPathControls() {
+    this.ui.pathSection = document.getElementById('path-section');
+    this.ui.pathModeButtons = Array.from(document.querySelectorAll('[data-path-mode]'));
+    this.ui.pathSpeedSlider = document.getElementById('path-speed');
+    this.ui.pathSpeedValue = document.getElementById('path-speed-value');
+
+    this.ui.pathModeButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        const path = this.getSelectedPath();
+        if (!path || !PATH_MODES.includes(button.dataset.pathMode)) {
+          return;
+        }
+        path.mode = button.dataset.pathMode;
+        this.updatePathControls();
+        this.scheduleSave();
+      });
+    });
+
+    this.ui.pathSpeedSlider?.addEventListener('input', (event) => {
+      const path = this.getSelectedPath();
+      const value = Number.parseFloat(event.target.value);
+      if (!path || !Number.isFinite(value)) {
+        return;
+      }
+      path.speed = value;
+      this.updatePathControls();
+      this.scheduleSave();
+    });
+
+    document.getElementById('path-add-point')?.addEventListener('click', () => this.addPathPoint());
+    document.getElementById('path-remove-point')?.addEventListener('click', () => this.removePathPoint());
+    this.updatePathControls();
+  }
+
+  getSelectedPath() {
+    return this.selectedBrick?.isKinematic ? this.selectedBrick.path : null;
+  }
+
+  updatePathControls() {
+    const path = this.getSelectedPath();
+    this.ui.pathSection?.classList.toggle('hidden', !path);
+    if (!path) {
+      return;
+    }
+
+    this.ui.pathModeButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.pathMode === path.mode);
+    });
+    if (this.ui.pathSpeedSlider && this.ui.pathSpeedSlider.value !== `${path.speed}`) {
+      this.ui.pathSpeedSlider.value = `${path.speed}`;
+    }
+    if (this.ui.pathSpeedValue) {
+      this.ui.pathSpeedValue.textContent = `${Math.round(path.speed)} px/s`;
+    }
+  }
+
+  // New waypoints continue the direction of the last segment
+  addPathPoint() {
+    const path = this.getSelectedPath();
+    if (!path) {
+      return;
+    }
+    const last = path.points[path.points.length - 1];
+    const previous = path.points[path.points.length - 2] ?? { x: last.x - 200, y: last.y };
+    path.points.push({ x: last.x + (last.x - previous.x), y: last.y + (last.y - previous.y) });
+    this.saveBricks();
+  }
+
+  removePathPoint() {
+    const path = this.getSelectedPath();
+    if (!path || path.points.length <= 2) {
+      return;
+    }
+    path.points.pop();
+    this.saveBricks();
+  }
+
+  // Waypoint handle under the pointer; points[0] is the brick itself, which is
+  // dragged as a whole (path included)
+  findPathHandleAt(x, y) {
+    const path = this.getSelectedPath();
+    if (!path) {
+      return null;
+    }
+    const brickCandidate = this.selectedBrick;
+    for (let index = path.points.length - 1; index >= 1; index -= 1) {
+      const point = path.points[index];
+      const centerX = point.x + brickCandidate.w / 2;
+      const centerY = point.y + brickCandidate.h / 2;
+      if (Math.hypot(x - centerX, y - centerY) <= PATH_HANDLE_SIZE) {
+        return { brick: brickCandidate, index };
+      }
+    }
+    return null;
+  }
+
+  setupMaterialControls() {
+    const grid = document.getElementById('material-grid');
+    if (!grid) {
+      return;
+    }
+
+    this.ui.materialButtons = Array.from(grid.querySelectorAll('[data-material]'));
+    this.ui.materialButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedMaterial(button.dataset.material || 'default');
+      });
+    });
+    this.updateMaterialButtons(this.selectedMaterial);
+  }
+
+  setupLevelControls() {
+    const bindSlider = (slider, setting) => {
+      slider?.addEventListener('input', (event) => {
+        const value = Number.parseFloat(event.target.value);
+        if (Number.isFinite(value)) {
+          this.setLevelSettings({ [setting]: value });
+        }
+      });
+    };
+    this.ui.levelWidthSlider = document.getElementById('level-width');
+    this.ui.levelWidthValue = document.getElementById('level-width-value');
+    bindSlider(this.ui.levelWidthSlider, 'width');
+    this.ui.levelHeightSlider = document.getElementById('level-height');
+    this.ui.levelHeightValue = document.getElementById('level-height-value');
+    bindSlider(this.ui.levelHeightSlider, 'height');
+    this.ui.floorHeightSlider = document.getElementById('floor-height');
+    this.ui.floorHeightValue = document.getElementById('floor-height-value');
+    bindSlider(this.ui.floorHeightSlider, 'floorHeight');
+
+    this.ui.boundsXButtons = Array.from(document.querySelectorAll('[data-bounds-x]'));
+    this.ui.boundsXButtons.forEach((button) => {
+      button.addEventListener('click', () => this.setLevelBounds('x', button.dataset.boundsX));
+    });
+    this.ui.boundsYButtons = Array.from(document.querySelectorAll('[data-bounds-y]'));
+    this.ui.boundsYButtons.forEach((button) => {
+      button.addEventListener('click', () => this.setLevelBounds('y', button.dataset.boundsY));
+    });
+
+    this.syncLevelControls();
+  }
+
+  setupGravityControls() {
+    this.ui.worldGravityButtons = Array.from(document.querySelectorAll('[data-world-gravity]'));
+    this.ui.worldGravityButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setWorldGravity(button.dataset.worldGravity, this.worldGravityStrength);
+      });
+    });
+    this.ui.worldGravitySlider = document.getElementById('world-gravity-strength');
+    this.ui.worldGravityValue = document.getElementById('world-gravity-strength-value');
+    this.ui.worldGravitySlider?.addEventListener('input', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        this.setWorldGravity(this.worldGravityDirection, value);
+      }
+    });
+
+    this.ui.zoneGravityButtons = Array.from(document.querySelectorAll('[data-zone-gravity]'));
+    this.ui.zoneGravityButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedZoneGravity(button.dataset.zoneGravity);
+      });
+    });
+    this.ui.zoneGravitySlider = document.getElementById('zone-gravity-strength');
+    this.ui.zoneGravityValue = document.getElementById('zone-gravity-strength-value');
+    this.ui.zoneGravitySlider?.addEventListener('input', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        this.setZoneGravityStrength(value);
+      }
+    });
+
+    this.syncWorldGravityControls();
+    this.updateZoneGravityControls();
+  }
+
+  setupFluidControls() {
+    this.ui.fluidButtons = Array.from(document.querySelectorAll('[data-fluid]'));
+    this.ui.fluidButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedFluid(button.dataset.fluid);
+      });
+    });
+    this.ui.fluidDensitySlider = document.getElementById('fluid-density');
+    this.ui.fluidDensityValue = document.getElementById('fluid-density-value');
+    this.ui.fluidDensitySlider?.addEventListener('input', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        this.setFluidProperties({ density: value });
+      }
+    });
+    this.ui.fluidDragSlider = document.getElementById('fluid-drag');
+    this.ui.fluidDragValue = document.getElementById('fluid-drag-value');
+    this.ui.fluidDragSlider?.addEventListener('input', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        this.setFluidProperties({ drag: value });
+      }
+    });
+
+    this.updateFluidControls();
+  }
+
+  setupBreakableControls() {
+    this.ui.breakableButtons = Array.from(document.querySelectorAll('[data-breakable]'));
+    this.ui.breakableButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedBreakable(button.dataset.breakable === 'on');
+      });
+    });
+    const bindSlider = (slider, property) => {
+      slider?.addEventListener('input', (event) => {
+        const value = Number.parseFloat(event.target.value);
+        if (Number.isFinite(value)) {
+          this.setBreakableProperties({ [property]: value });
+        }
+      });
+    };
+    this.ui.breakableHealthSlider = document.getElementById('breakable-health');
+    this.ui.breakableHealthValue = document.getElementById('breakable-health-value');
+    bindSlider(this.ui.breakableHealthSlider, 'health');
+    this.ui.breakableFragmentsSlider = document.getElementById('breakable-fragments');
+    this.ui.breakableFragmentsValue = document.getElementById('breakable-fragments-value');
+    bindSlider(this.ui.breakableFragmentsSlider, 'fragments');
+    this.ui.breakableRespawnSlider = document.getElementById('breakable-respawn');
+    this.ui.breakableRespawnValue = document.getElementById('breakable-respawn-value');
+    bindSlider(this.ui.breakableRespawnSlider, 'respawn');
+
+    this.updateBreakableControls();
+  }
+
+  setupForceZoneControls() {
+    this.ui.forceZoneButtons = Array.from(document.querySelectorAll('[data-force-zone]'));
+    this.ui.forceZoneButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSelectedForceZone(button.dataset.forceZone);
+      });
+    });
+    this.ui.forceZoneSlider = document.getElementById('force-zone-strength');
+    this.ui.forceZoneValue = document.getElementById('force-zone-strength-value');
+    this.ui.forceZoneSlider?.addEventListener('input', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        this.setForceZoneStrength(value);
+      }
+    });
+
+    this.updateForceZoneControls();
+  }
+
+  setupJointControls() {
+    const grid = document.getElementById('joint-type-grid');
+    if (!grid) {
+      return;
+    }
+
+    this.ui.jointTypeButtons = Array.from(grid.querySelectorAll('[data-joint-type]'));
+    this.ui.jointTypeButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        const type = button.dataset.jointType;
+        this.setSelectedJointType(type === this.selectedJointType ? null : type);
+      });
+    });
+
+    document.getElementById('remove-joints')?.addEventListener('click', () => {
+      this.removeJointsOfSelection();
+    });
+    this.updateJointTypeButtons(this.selectedJointType);
+  }
+
+  setupInputBindingControls() {
+    this.ui.bindingButtons = Array.from(document.querySelectorAll('[data-binding-action]'));
+    this.ui.bindingButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        const action = button.dataset.bindingAction;
+        const slot = Number.parseInt(button.dataset.bindingSlot || '0', 10);
+        const waiting = this.rebinding?.action === action && this.rebinding.slot === slot;
+        this.rebinding = waiting ? null : { action, slot };
+        // Otherwise Space, once bound, would also click the focused button
+        button.blur();
+        this.updateInputBindingControls();
+      });
+    });
+
+    this.ui.resetBindingsButton = document.getElementById('reset-bindings');
+    this.ui.resetBindingsButton?.addEventListener('click', () => {
+      this.rebinding = null;
+      this.game.resetInputBindings();
+    });
+
+    // The keyboard layout loads asynchronously, so labels can change after startup
+    this.game.on('inputBindingsChange', () => this.updateInputBindingControls());
+    this.updateInputBindingControls();
+  }
+
+  onRebindKey(event) {
+    if (!this.rebinding) {
+      return;
+    }
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    const { action, slot } = this.rebinding;
+    this.rebinding = null;
+    if (event.code === 'Backspace' || event.code === 'Delete') {
+      this.game.setInputBinding(action, slot, null);
+    } else if (event.code !== 'Escape') {
+      this.game.setInputBinding(action, slot, event.code);
+    }
+    this.updateInputBindingControls();
+  }
+
+  updateInputBindingControls() {
+    const bindings = this.game.getInputBindings();
+    this.ui.bindingButtons.forEach((button) => {
+      const action = button.dataset.bindingAction;
+      const slot = Number.parseInt(button.dataset.bindingSlot || '0', 10);
+      const waiting = this.rebinding?.action === action && this.rebinding.slot === slot;
+      button.classList.toggle('waiting', waiting);
+      button.textContent = waiting
+        ? 'Pulsa una tecla…'
+        : bindings.getKeyLabel(bindings.getBindings(action)[slot]);
+    });
+  }
+
   setupRotationControls() {
     this.ui.rotationSlider = document.getElementById('rotation-slider');
     this.ui.rotationValue = document.getElementById('rotation-value');
@@ -299,6 +852,13 @@ export class LevelEditor {
   setupActionButtons() {
     this.ui.toggleButton?.addEventListener('click', () => this.toggleEditMode());
 
+    // F3 toggles the debug layer too, so the button follows the runtime
+    const debugButton = document.getElementById('toggle-debug');
+    debugButton?.addEventListener('click', () => this.game.toggleDebugOverlay());
+    this.game.on('debugOverlayChange', ({ enabled }) => {
+      debugButton?.classList.toggle('active', enabled);
+    });
+
     const clearAll = document.getElementById('clear-all');
     clearAll?.addEventListener('click', () => {
       if (!confirm('¿Eliminar todos los bricks?')) {
@@ -307,7 +867,7 @@ export class LevelEditor {
       const world = this.game.getWorld();
       [...world.bricks].forEach((item) => removeBrick(world, item));
       this.resetSelectionState();
-      this.updateDeleteButton();
+      this.updateSelectionControls();
       this.saveBricks();
     });
 
@@ -319,7 +879,7 @@ export class LevelEditor {
       this.selectedBrick = null;
       this.hoverBrick = null;
       this.draggedBrick = null;
-      this.updateDeleteButton();
+      this.updateSelectionControls();
       this.saveBricks();
     });
   }
@@ -371,9 +931,14 @@ export class LevelEditor {
     if (this.ghostBrick) {
       this.ghostBrick.shape = nextShape;
     }
+    if (nextShape !== 'polygon') {
+      this.polygonDraft = null;
+    }
 
-    if (!fromSelection && this.selectedBrick) {
+    // Polygons are drawn vertex by vertex, an existing brick cannot become one
+    if (!fromSelection && this.selectedBrick && nextShape !== 'polygon') {
       this.selectedBrick.shape = nextShape;
+      updateBrick(this.game.getWorld(), this.selectedBrick);
       this.scheduleSave();
     }
 
@@ -391,6 +956,463 @@ export class LevelEditor {
     });
   }
 
+  setSelectedBodyType(type, { fromSelection = false } = {}) {
+    const nextType = BODY_TYPES.includes(type) ? type : 'static';
+    this.selectedBodyType = nextType;
+    this.updateBodyTypeButtons(nextType);
+
+    if (!fromSelection && this.selectedBrick) {
+      if (nextType === 'kinematic') {
+        setBrickKinematic(this.game.getWorld(), this.selectedBrick);
+      } else {
+        setBrickStatic(this.selectedBrick, nextType === 'static');
+      }
+      this.updatePathControls();
+      this.scheduleSave();
+    }
+
+    return this.selectedBodyType;
+  }
+
+  updateBodyTypeButtons(activeType) {
+    if (!Array.isArray(this.ui.bodyTypeButtons)) {
+      return;
+    }
+
+    this.ui.bodyTypeButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.bodyType === activeType);
+    });
+  }
+
+  setSelectedOneWay(value, { fromSelection = false } = {}) {
+    this.selectedOneWay = Boolean(value);
+    this.updateOneWayButton(this.selectedOneWay);
+
+    if (!fromSelection && this.selectedBrick) {
+      setBrickOneWay(this.selectedBrick, this.selectedOneWay);
+      this.scheduleSave();
+    }
+
+    return this.selectedOneWay;
+  }
+
+  updateOneWayButton(active) {
+    this.ui.oneWayButton?.classList.toggle('active', Boolean(active));
+  }
+
+  setSelectedSensor(value, { fromSelection = false } = {}) {
+    this.selectedSensor = Boolean(value);
+    this.updateSensorButton(this.selectedSensor);
+
+    if (!fromSelection && this.selectedBrick) {
+      setBrickSensor(this.selectedBrick, this.selectedSensor);
+      // A brick that stops being a sensor stops being a gravity zone or fluid
+      if (!this.selectedBrick.gravityZone) {
+        this.setSelectedZoneGravity('off', { fromSelection: true });
+      }
+      if (!this.selectedBrick.fluid) {
+        this.setSelectedFluid('off', { fromSelection: true });
+      }
+      if (!this.selectedBrick.wind && this.selectedBrick.attractor == null) {
+        this.setSelectedForceZone('off', { fromSelection: true });
+      }
+      this.scheduleSave();
+    }
+
+    return this.selectedSensor;
+  }
+
+  updateSensorButton(active) {
+    this.ui.sensorButton?.classList.toggle('active', Boolean(active));
+  }
+
+  setSelectedMaterial(material, { fromSelection = false } = {}) {
+    const nextMaterial = Object.prototype.hasOwnProperty.call(MATERIALS, material) ? material : 'default';
+    this.selectedMaterial = nextMaterial;
+    this.updateMaterialButtons(nextMaterial);
+
+    if (!fromSelection && this.selectedBrick) {
+      setBrickMaterial(this.selectedBrick, nextMaterial);
+      this.scheduleSave();
+    }
+
+    return this.selectedMaterial;
+  }
+
+  updateMaterialButtons(activeMaterial) {
+    if (!Array.isArray(this.ui.materialButtons)) {
+      return;
+    }
+
+    this.ui.materialButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.material === activeMaterial);
+    });
+  }
+
+  // Size, floor and edges of the level; the panel always shows the world's
+  // current values (loading a level changes them)
+  setLevelSettings(settings) {
+    setWorldSettings(this.game.getWorld(), settings);
+    this.syncLevelControls();
+    this.scheduleSave();
+  }
+
+  setLevelBounds(axis, mode) {
+    if (!BOUND_MODES[axis]?.includes(mode)) {
+      return;
+    }
+    const { bounds } = this.game.getWorld().settings;
+    this.setLevelSettings({ bounds: { ...bounds, [axis]: mode } });
+  }
+
+  syncLevelControls() {
+    const { width, height, floorHeight, bounds } = this.game.getWorld().settings;
+    const setSlider = (slider, value) => {
+      if (slider && slider.value !== `${value}`) {
+        slider.value = `${value}`;
+      }
+    };
+    setSlider(this.ui.levelWidthSlider, width);
+    setSlider(this.ui.levelHeightSlider, height);
+    setSlider(this.ui.floorHeightSlider, floorHeight);
+    if (this.ui.levelWidthValue) {
+      this.ui.levelWidthValue.textContent = `↔ ${Math.round(width)}`;
+    }
+    if (this.ui.levelHeightValue) {
+      this.ui.levelHeightValue.textContent = `↕ ${Math.round(height)}`;
+    }
+    if (this.ui.floorHeightValue) {
+      this.ui.floorHeightValue.textContent = floorHeight > 0 ? `Suelo ${Math.round(floorHeight)}` : 'Sin suelo';
+    }
+    this.ui.boundsXButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.boundsX === bounds.x);
+    });
+    this.ui.boundsYButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.boundsY === bounds.y);
+    });
+  }
+
+  // Read the level's gravity back into the panel (loading a level changes it)
+  syncWorldGravityControls() {
+    const { direction, strength } = describeGravity(this.game.getWorld().settings.gravity);
+    this.worldGravityDirection = direction;
+    if (strength > 0) {
+      this.worldGravityStrength = strength;
+    }
+    this.updateWorldGravityControls();
+  }
+
+  setWorldGravity(direction, strength) {
+    this.worldGravityDirection = GRAVITY_DIRECTIONS[direction] ? direction : 'down';
+    this.worldGravityStrength = strength;
+    setWorldSettings(this.game.getWorld(), {
+      gravity: gravityFromDirection(this.worldGravityDirection, strength),
+    });
+    this.updateWorldGravityControls();
+    this.scheduleSave();
+  }
+
+  updateWorldGravityControls() {
+    this.ui.worldGravityButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.worldGravity === this.worldGravityDirection);
+    });
+    this.updateGravityStrength(this.ui.worldGravitySlider, this.ui.worldGravityValue, this.worldGravityStrength);
+  }
+
+  setSelectedZoneGravity(direction, { fromSelection = false } = {}) {
+    this.selectedZoneGravity = GRAVITY_DIRECTIONS[direction] ? direction : 'off';
+    this.updateZoneGravityControls();
+
+    if (!fromSelection && this.selectedBrick) {
+      setBrickGravityZone(this.selectedBrick, this.getSelectedZoneGravity());
+      // Zones are always sensors
+      this.setSelectedSensor(this.selectedBrick.isSensor, { fromSelection: true });
+      this.scheduleSave();
+    }
+
+    return this.selectedZoneGravity;
+  }
+
+  setZoneGravityStrength(strength) {
+    this.zoneGravityStrength = strength;
+    this.updateZoneGravityControls();
+
+    if (this.selectedBrick?.gravityZone) {
+      setBrickGravityZone(this.selectedBrick, this.getSelectedZoneGravity());
+      this.scheduleSave();
+    }
+  }
+
+  // Gravity for the selected or new brick's zone, null for "no zone"
+  getSelectedZoneGravity() {
+    return this.selectedZoneGravity === 'off'
+      ? null
+      : gravityFromDirection(this.selectedZoneGravity, this.zoneGravityStrength);
+  }
+
+  updateZoneGravityControls() {
+    this.ui.zoneGravityButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.zoneGravity === this.selectedZoneGravity);
+    });
+    this.updateGravityStrength(this.ui.zoneGravitySlider, this.ui.zoneGravityValue, this.zoneGravityStrength);
+  }
+
+  // Picking a preset loads its values into the sliders and tints the brick
+  setSelectedFluid(name, { fromSelection = false } = {}) {
+    const isPreset = Object.prototype.hasOwnProperty.call(FLUIDS, name);
+    this.selectedFluid = isPreset || name === 'custom' ? name : 'off';
+    if (isPreset) {
+      this.fluidDensity = FLUIDS[name].density;
+      this.fluidDrag = FLUIDS[name].linearDrag;
+    }
+    this.updateFluidControls();
+
+    if (!fromSelection) {
+      if (isPreset) {
+        this.setSelectedColor(FLUID_TINTS[name]);
+      }
+      if (this.selectedBrick) {
+        setBrickFluid(this.selectedBrick, this.getSelectedFluid());
+        // Fluids are always sensors
+        this.setSelectedSensor(this.selectedBrick.isSensor, { fromSelection: true });
+        this.scheduleSave();
+      }
+    }
+
+    return this.selectedFluid;
+  }
+
+  // The drag slider sets linear and angular drag together; a level can still
+  // store them apart, and a density change keeps the brick's angular drag
+  setFluidProperties({ density = this.fluidDensity, drag = this.fluidDrag }) {
+    this.fluidDensity = density;
+    this.fluidDrag = drag;
+    if (this.selectedFluid !== 'off') {
+      this.selectedFluid = 'custom';
+    }
+    this.updateFluidControls();
+
+    const fluid = this.selectedBrick?.fluid;
+    if (fluid) {
+      setBrickFluid(this.selectedBrick, {
+        density,
+        linearDrag: drag,
+        angularDrag: drag === fluid.linearDrag ? fluid.angularDrag : drag,
+      });
+      this.scheduleSave();
+    }
+  }
+
+  // Fluid for the selected or new brick, null for "no fluid"
+  getSelectedFluid() {
+    return this.selectedFluid === 'off'
+      ? null
+      : { density: this.fluidDensity, linearDrag: this.fluidDrag, angularDrag: this.fluidDrag };
+  }
+
+  updateFluidControls() {
+    this.ui.fluidButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.fluid === this.selectedFluid);
+    });
+    const { fluidDensitySlider, fluidDensityValue, fluidDragSlider, fluidDragValue } = this.ui;
+    if (fluidDensitySlider && fluidDensitySlider.value !== `${this.fluidDensity}`) {
+      fluidDensitySlider.value = `${this.fluidDensity}`;
+    }
+    if (fluidDensityValue) {
+      fluidDensityValue.textContent = `ρ ${this.fluidDensity.toFixed(1)}`;
+    }
+    if (fluidDragSlider && fluidDragSlider.value !== `${this.fluidDrag}`) {
+      fluidDragSlider.value = `${this.fluidDrag}`;
+    }
+    if (fluidDragValue) {
+      fluidDragValue.textContent = `${this.fluidDrag.toFixed(1)} /s`;
+    }
+  }
+
+  // 'off', 'wind-<direction>', 'attract' or 'repel'. A panel zone is either
+  // wind or an attractor, never both
+  setSelectedForceZone(kind, { fromSelection = false } = {}) {
+    const isWind = kind?.startsWith(WIND_PREFIX) &&
+      GRAVITY_DIRECTIONS[kind.slice(WIND_PREFIX.length)] && kind !== `${WIND_PREFIX}none`;
+    this.selectedForceZone = isWind || kind === 'attract' || kind === 'repel' ? kind : 'off';
+    this.updateForceZoneControls();
+
+    if (!fromSelection && this.selectedBrick) {
+      this.applyForceZone(this.selectedBrick);
+      // Wind and attractor zones are always sensors
+      this.setSelectedSensor(this.selectedBrick.isSensor, { fromSelection: true });
+      this.scheduleSave();
+    }
+
+    return this.selectedForceZone;
+  }
+
+  setForceZoneStrength(strength) {
+    this.forceZoneStrength = strength;
+    this.updateForceZoneControls();
+
+    if (this.selectedBrick && (this.selectedBrick.wind || this.selectedBrick.attractor != null)) {
+      this.applyForceZone(this.selectedBrick);
+      this.scheduleSave();
+    }
+  }
+
+  applyForceZone(brick) {
+    setBrickWind(brick, this.getSelectedWind());
+    setBrickAttractor(brick, this.getSelectedAttractor());
+  }
+
+  // Wind for the selected or new brick, null if the zone is not wind
+  getSelectedWind() {
+    return this.selectedForceZone.startsWith(WIND_PREFIX)
+      ? gravityFromDirection(this.selectedForceZone.slice(WIND_PREFIX.length), this.forceZoneStrength)
+      : null;
+  }
+
+  // Attractor strength for the selected or new brick (negative repels)
+  getSelectedAttractor() {
+    if (this.selectedForceZone === 'attract') return this.forceZoneStrength;
+    if (this.selectedForceZone === 'repel') return -this.forceZoneStrength;
+    return null;
+  }
+
+  updateForceZoneControls() {
+    this.ui.forceZoneButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.forceZone === this.selectedForceZone);
+    });
+    this.updateGravityStrength(this.ui.forceZoneSlider, this.ui.forceZoneValue, this.forceZoneStrength);
+  }
+
+  setSelectedBreakable(value, { fromSelection = false } = {}) {
+    this.selectedBreakable = Boolean(value);
+    this.updateBreakableControls();
+
+    if (!fromSelection && this.selectedBrick) {
+      setBrickBreakable(this.selectedBrick, this.getSelectedBreakable());
+      this.scheduleSave();
+    }
+
+    return this.selectedBreakable;
+  }
+
+  setBreakableProperties({
+    health = this.breakableHealth,
+    fragments = this.breakableFragments,
+    respawn = this.breakableRespawn,
+  }) {
+    this.breakableHealth = health;
+    this.breakableFragments = fragments;
+    this.breakableRespawn = respawn;
+    this.updateBreakableControls();
+
+    if (this.selectedBrick?.breakable) {
+      setBrickBreakable(this.selectedBrick, this.getSelectedBreakable());
+      this.scheduleSave();
+    }
+  }
+
+  // Breakable settings for the selected or new brick, null if unbreakable
+  getSelectedBreakable() {
+    return this.selectedBreakable
+      ? { health: this.breakableHealth, fragments: this.breakableFragments, respawn: this.breakableRespawn }
+      : null;
+  }
+
+  updateBreakableControls() {
+    this.ui.breakableButtons.forEach((button) => {
+      button.classList.toggle('active', (button.dataset.breakable === 'on') === this.selectedBreakable);
+    });
+    const sliders = [
+      [this.ui.breakableHealthSlider, this.breakableHealth],
+      [this.ui.breakableFragmentsSlider, this.breakableFragments],
+      [this.ui.breakableRespawnSlider, this.breakableRespawn],
+    ];
+    sliders.forEach(([slider, value]) => {
+      if (slider && slider.value !== `${value}`) {
+        slider.value = `${value}`;
+      }
+    });
+    if (this.ui.breakableHealthValue) {
+      this.ui.breakableHealthValue.textContent = `❤️ ${this.breakableHealth}`;
+    }
+    if (this.ui.breakableFragmentsValue) {
+      this.ui.breakableFragmentsValue.textContent = `🧩 ${this.breakableFragments}`;
+    }
+    if (this.ui.breakableRespawnValue) {
+      this.ui.breakableRespawnValue.textContent = this.breakableRespawn > 0
+        ? `${this.breakableRespawn} s`
+        : 'No reaparece';
+    }
+  }
+
+  updateGravityStrength(slider, label, strength) {
+    if (slider && slider.value !== `${strength}`) {
+      slider.value = `${strength}`;
+    }
+    if (label) {
+      label.textContent = `${Math.round(strength)} px/s²`;
+    }
+  }
+
+  setSelectedJointType(type) {
+    this.selectedJointType = JOINT_TYPES.includes(type) ? type : null;
+    this.pendingJoint = null;
+    this.updateJointTypeButtons(this.selectedJointType);
+    this.updateHoverHint();
+    return this.selectedJointType;
+  }
+
+  updateJointTypeButtons(activeType) {
+    if (!Array.isArray(this.ui.jointTypeButtons)) {
+      return;
+    }
+
+    this.ui.jointTypeButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.jointType === activeType);
+    });
+  }
+
+  // First click picks the body and anchor A; the second picks body B (or the
+  // world when clicking empty space) and the second anchor
+  handleJointClick(pos) {
+    const clickedBrick = this.findBrickAtPoint(pos.x, pos.y);
+
+    if (!this.pendingJoint) {
+      if (!clickedBrick) {
+        return;
+      }
+      this.pendingJoint = { bodyA: clickedBrick, anchor: { x: pos.x, y: pos.y } };
+      this.applySelectionFromBrick(clickedBrick);
+      return;
+    }
+
+    const { bodyA, anchor } = this.pendingJoint;
+    this.pendingJoint = null;
+    if (clickedBrick === bodyA) {
+      this.updateHoverHint();
+      return;
+    }
+
+    const isPivot = this.selectedJointType === 'hinge' || this.selectedJointType === 'weld';
+    createJoint(this.game.getWorld(), this.selectedJointType, bodyA, clickedBrick, {
+      anchorA: isPivot ? { x: pos.x, y: pos.y } : anchor,
+      anchorB: { x: pos.x, y: pos.y },
+    });
+    this.updateHoverHint();
+    this.saveBricks();
+  }
+
+  removeJointsOfSelection() {
+    if (!this.selectedBrick) {
+      return;
+    }
+    const world = this.game.getWorld();
+    world.joints
+      .filter((joint) => joint.bodyA === this.selectedBrick || joint.bodyB === this.selectedBrick)
+      .forEach((joint) => removeJoint(world, joint));
+    this.saveBricks();
+  }
+
   setSelectedRotation(value, { fromSelection = false } = {}) {
     const normalized = Number.isFinite(value) ? value : 0;
     this.selectedRotation = normalized;
@@ -407,6 +1429,7 @@ export class LevelEditor {
 
     if (!fromSelection && this.selectedBrick) {
       this.selectedBrick.rotation = normalized * DEG2RAD;
+      updateBrick(this.game.getWorld(), this.selectedBrick);
       this.scheduleSave();
     }
 
@@ -424,11 +1447,13 @@ export class LevelEditor {
 
     if (!this.editMode) {
       this.resetSelectionState();
-      this.updateDeleteButton();
+      this.updateSelectionControls();
       this.ui.hint?.classList.remove('show');
     } else {
       this.setViewMode(this.selectedViewMode, { applyToRuntime: true, updateButtons: false });
       this.syncEditCamera();
+      this.syncLevelControls();
+      this.syncWorldGravityControls();
     }
 
     if (typeof this.onModeChange === 'function') {
@@ -456,6 +1481,9 @@ export class LevelEditor {
     this.draggedBrick = null;
     this.ghostBrick = null;
     this.dragStart = null;
+    this.draggedWaypoint = null;
+    this.pendingJoint = null;
+    this.polygonDraft = null;
     this.updateHoverHint();
   }
 
@@ -464,7 +1492,7 @@ export class LevelEditor {
       this.selectedBrick = null;
       this.draggedBrick = null;
       this.dragStart = null;
-      this.updateDeleteButton();
+      this.updateSelectionControls();
       this.updateHoverHint();
       return;
     }
@@ -475,6 +1503,10 @@ export class LevelEditor {
     this.dragStart = null;
 
     if (pointerWorldPos) {
+      // Grabbing a dynamic brick drops the velocity left over from play mode
+      if (!brickCandidate.isStatic) {
+        setBrickStatic(brickCandidate, false);
+      }
       this.draggedBrick = brickCandidate;
       this.dragStart = {
         x: pointerWorldPos.x - brickCandidate.x,
@@ -488,8 +1520,40 @@ export class LevelEditor {
     this.setSelectedShape(brickCandidate.shape || 'rect', { fromSelection: true });
     this.setSelectedRotation(rotationDegrees, { fromSelection: true });
     this.setSelectedColor(brickCandidate.color, { fromSelection: true });
-
-    this.updateDeleteButton();
+    let bodyType = brickCandidate.isStatic === false ? 'dynamic' : 'static';
+    if (brickCandidate.isKinematic) {
+      bodyType = 'kinematic';
+    }
+    this.setSelectedBodyType(bodyType, { fromSelection: true });
+    this.setSelectedMaterial(brickCandidate.material || 'default', { fromSelection: true });
+    this.setSelectedOneWay(brickCandidate.oneWay, { fromSelection: true });
+    this.setSelectedSensor(brickCandidate.isSensor, { fromSelection: true });
+    if (this.ui.sensorTagInput) {
+      this.ui.sensorTagInput.value = brickCandidate.tag || '';
+    }
+    const zone = brickCandidate.gravityZone ? describeGravity(brickCandidate.gravityZone) : null;
+    if (zone?.strength > 0) {
+      this.zoneGravityStrength = zone.strength;
+    }
+    this.setSelectedZoneGravity(zone ? zone.direction : 'off', { fromSelection: true });
+    if (brickCandidate.fluid) {
+      this.fluidDensity = brickCandidate.fluid.density;
+      this.fluidDrag = brickCandidate.fluid.linearDrag;
+    }
+    this.setSelectedFluid(brickCandidate.fluid ? describeFluid(brickCandidate.fluid) : 'off', { fromSelection: true });
+    const forceZone = describeForceZone(brickCandidate);
+    if (forceZone.strength > 0) {
+      this.forceZoneStrength = forceZone.strength;
+    }
+    this.setSelectedForceZone(forceZone.kind, { fromSelection: true });
+    if (brickCandidate.breakable) {
+      this.breakableHealth = brickCandidate.breakable.health;
+      this.breakableFragments = brickCandidate.breakable.fragments;
+      this.breakableRespawn = brickCandidate.breakable.respawn;
+    }
+    this.setSelectedBreakable(Boolean(brickCandidate.breakable), { fromSelection: true });
+
+    this.updateSelectionControls();
     this.updateHoverHint();
   }
 
@@ -584,6 +1648,10 @@ export class LevelEditor {
     if (!this.editMode) {
       return;
     }
+    // Typing a sensor tag must not trigger editor shortcuts
+    if (event.target instanceof HTMLInputElement && event.target.type === 'text') {
+      return;
+    }
 
     const step = event.shiftKey ? 5 : 1;
     if (event.code === 'BracketLeft' || event.code === 'PageDown') {
@@ -595,6 +1663,23 @@ export class LevelEditor {
     } else if (event.code === 'KeyF' && this.selectedBrick) {
       event.preventDefault();
       this.setActiveLayer(this.selectedBrick.z ?? 0, { fromSelection: true });
+    } else if (event.code === 'Escape' && this.polygonDraft) {
+      event.preventDefault();
+      this.polygonDraft = null;
+      this.updateHoverHint();
+    } else if (event.code === 'Enter' && this.polygonDraft) {
+      event.preventDefault();
+      this.finishPolygon();
+    } else if (event.code === 'Backspace' && this.polygonDraft) {
+      event.preventDefault();
+      this.polygonDraft.pop();
+      if (!this.polygonDraft.length) {
+        this.polygonDraft = null;
+      }
+      this.updateHoverHint();
+    } else if (event.code === 'Escape' && this.selectedJointType) {
+      event.preventDefault();
+      this.setSelectedJointType(null);
     }
   }
 
@@ -644,6 +1729,24 @@ export class LevelEditor {
       return;
     }
 
+    if (this.selectedJointType) {
+      this.handleJointClick(pos);
+      return;
+    }
+
+    // While a polygon is being drawn every click places a vertex, even on top
+    // of other bricks
+    if (this.polygonDraft) {
+      this.handlePolygonClick(pos);
+      return;
+    }
+
+    const waypoint = this.findPathHandleAt(pos.x, pos.y);
+    if (waypoint) {
+      this.draggedWaypoint = waypoint;
+      return;
+    }
+
     const clickedBrick = this.findBrickAtPoint(pos.x, pos.y);
 
     if (clickedBrick) {
@@ -652,7 +1755,12 @@ export class LevelEditor {
     }
 
     this.selectedBrick = null;
-    this.updateDeleteButton();
+    this.updateSelectionControls();
+
+    if (this.selectedShape === 'polygon') {
+      this.handlePolygonClick(pos);
+      return;
+    }
 
     this.dragStart = pos;
     this.ghostBrick = {
@@ -726,6 +1834,7 @@ export class LevelEditor {
     }
 
     const pos = this.game.screenToWorld(event.clientX, event.clientY);
+    this.pointerWorld = pos;
     if (!pos) {
       this.hoverBrick = null;
       this.updateHoverHint();
@@ -735,9 +1844,24 @@ export class LevelEditor {
     this.hoverBrick = this.findBrickAtPoint(pos.x, pos.y);
     this.updateHoverHint();
 
-    if (this.draggedBrick && this.dragStart) {
-      this.draggedBrick.x = pos.x - this.dragStart.x;
-      this.draggedBrick.y = pos.y - this.dragStart.y;
+    if (this.draggedWaypoint) {
+      const { brick: target, index } = this.draggedWaypoint;
+      target.path.points[index] = { x: pos.x - target.w / 2, y: pos.y - target.h / 2 };
+    } else if (this.draggedBrick && this.dragStart) {
+      const nextX = pos.x - this.dragStart.x;
+      const nextY = pos.y - this.dragStart.y;
+      // A kinematic brick rests on the first waypoint, so its path moves with it
+      if (this.draggedBrick.isKinematic) {
+        const deltaX = nextX - this.draggedBrick.x;
+        const deltaY = nextY - this.draggedBrick.y;
+        this.draggedBrick.path.points.forEach((point) => {
+          point.x += deltaX;
+          point.y += deltaY;
+        });
+      }
+      this.draggedBrick.x = nextX;
+      this.draggedBrick.y = nextY;
+      updateBrick(this.game.getWorld(), this.draggedBrick);
     } else if (this.dragStart && this.ghostBrick) {
       const minX = Math.min(this.dragStart.x, pos.x);
       const minY = Math.min(this.dragStart.y, pos.y);
@@ -760,7 +1884,22 @@ export class LevelEditor {
     if (!this.ui.hint) {
       return;
     }
-    if (this.hoverBrick) {
+    if (this.polygonDraft) {
+      if (this.polygonDraft.length < MIN_POLYGON_POINTS) {
+        this.ui.hint.textContent = 'Click: Añadir vértice | Retroceso: Deshacer | Esc: Cancelar';
+      } else if (!isSimplePolygon(this.polygonDraft)) {
+        this.ui.hint.textContent = 'El polígono se cruza consigo mismo | Retroceso: Deshacer vértice';
+      } else {
+        this.ui.hint.textContent =
+          'Click: Añadir vértice | Click en el primero o Enter: Cerrar | Retroceso: Deshacer | Esc: Cancelar';
+      }
+      this.ui.hint.classList.add('show');
+    } else if (this.selectedJointType) {
+      this.ui.hint.textContent = this.pendingJoint
+        ? 'Click: Segundo brick (o vacío para anclar al mundo) | Esc: Cancelar'
+        : 'Click: Primer brick de la unión | Esc: Salir de la herramienta';
+      this.ui.hint.classList.add('show');
+    } else if (this.hoverBrick) {
       this.ui.hint.textContent =
         'Click: Seleccionar/Arrastrar | Shift+Click: Recolorear | Ctrl+Click: Copiar rotación | Rueda: Rotar | Alt/Ctrl+Rueda: Zoom';
       this.ui.hint.classList.add('show');
@@ -803,6 +1942,12 @@ export class LevelEditor {
       }
     }
 
+    if (this.draggedWaypoint) {
+      this.draggedWaypoint = null;
+      this.saveBricks();
+      return;
+    }
+
     if (this.draggedBrick) {
       this.saveBricks();
       this.draggedBrick = null;
@@ -816,9 +1961,7 @@ export class LevelEditor {
 
     if (this.ghostBrick.w > this.minBrickSize && this.ghostBrick.h > this.minBrickSize) {
       brick(this.game.getWorld(), this.ghostBrick.x, this.ghostBrick.y, this.ghostBrick.w, this.ghostBrick.h, {
-        shape: this.selectedShape,
-        color: [...this.selectedColor],
-        rotation: (this.selectedRotation * Math.PI) / 180,
+        ...this.getNewBrickOptions(),
         z: this.ghostBrick.z ?? this.currentLayer,
       });
       this.saveBricks();
@@ -828,6 +1971,74 @@ export class LevelEditor {
     this.ghostBrick = null;
   }
 
+  // Settings from the panel applied to every brick created in the editor
+  getNewBrickOptions() {
+    return {
+      shape: this.selectedShape,
+      color: [...this.selectedColor],
+      rotation: (this.selectedRotation * Math.PI) / 180,
+      z: this.currentLayer,
+      isStatic: this.selectedBodyType !== 'dynamic',
+      material: this.selectedMaterial,
+      oneWay: this.selectedOneWay,
+      isKinematic: this.selectedBodyType === 'kinematic',
+      isSensor: this.selectedSensor,
+      tag: this.ui.sensorTagInput?.value.trim() || '',
+      gravityZone: this.getSelectedZoneGravity(),
+      fluid: this.getSelectedFluid(),
+      wind: this.getSelectedWind(),
+      attractor: this.getSelectedAttractor(),
+      breakable: this.getSelectedBreakable(),
+    };
+  }
+
+  // Polygon tool: each click adds a vertex; clicking the first vertex again
+  // (or pressing Enter) closes the outline
+  handlePolygonClick(pos) {
+    if (!this.polygonDraft) {
+      this.polygonDraft = [{ x: pos.x, y: pos.y }];
+      this.updateHoverHint();
+      return;
+    }
+
+    const first = this.polygonDraft[0];
+    const closes = this.polygonDraft.length >= MIN_POLYGON_POINTS &&
+      Math.hypot(pos.x - first.x, pos.y - first.y) <= POLYGON_CLOSE_DISTANCE;
+    if (closes) {
+      this.finishPolygon();
+      return;
+    }
+
+    this.polygonDraft.push({ x: pos.x, y: pos.y });
+    this.updateHoverHint();
+  }
+
+  finishPolygon() {
+    const draft = this.polygonDraft;
+    if (!draft || draft.length < MIN_POLYGON_POINTS) {
+      return;
+    }
+    if (!isSimplePolygon(draft)) {
+      return;
+    }
+
+    const polygon = createPolygonFromWorldPoints(draft);
+    this.polygonDraft = null;
+    this.updateHoverHint();
+    if (!polygon || polygon.w <= this.minBrickSize || polygon.h <= this.minBrickSize) {
+      return;
+    }
+
+    // The vertices are placed exactly where they were clicked, so the new
+    // polygon starts unrotated
+    brick(this.game.getWorld(), polygon.x, polygon.y, polygon.w, polygon.h, {
+      ...this.getNewBrickOptions(),
+      points: polygon.points,
+      rotation: 0,
+    });
+    this.saveBricks();
+  }
+
   onWheel(event) {
     if (!this.editMode) {
       return;
@@ -853,23 +2064,17 @@ export class LevelEditor {
     if (target.rotation < 0) {
       target.rotation += 2 * Math.PI;
     }
+    updateBrick(this.game.getWorld(), target);
 
     this.saveBricks();
   }
 
   findBrickAtPoint(x, y) {
     const world = this.game.getWorld();
-    const matches = [];
-
-    for (let i = 0; i < world.bricks.length; i += 1) {
-      const candidate = world.bricks[i];
-      if (typeof candidate.z !== 'number') {
-        candidate.z = 0;
-      }
-      if (pointInBrick(candidate, x, y)) {
-        matches.push(candidate);
-      }
-    }
+    const matches = queryPoint(world, { x, y }, {
+      includeSensors: true,
+      test: body => world.bricks.includes(body),
+    });
 
     if (!matches.length) {
       return null;
@@ -887,6 +2092,12 @@ export class LevelEditor {
     return matches[0];
   }
 
+  // Panel pieces that depend on what is selected
+  updateSelectionControls() {
+    this.updateDeleteButton();
+    this.updatePathControls();
+  }
+
   updateDeleteButton() {
     if (!this.ui.deleteButton) {
       return;
@@ -934,6 +2145,86 @@ export class LevelEditor {
       });
     }
 
+    const path = this.getSelectedPath();
+    if (path) {
+      const { w, h } = this.selectedBrick;
+      const depthIndex = (this.selectedBrick.z ?? this.currentLayer) - 0.8;
+      const centers = path.points.map((point) => ({ x: point.x + w / 2, y: point.y + h / 2 }));
+      if (path.mode === 'loop' && centers.length > 2) {
+        centers.push(centers[0]);
+      }
+      for (let index = 1; index < centers.length; index += 1) {
+        overlays.push(makeSegmentOverlay(
+          centers[index - 1],
+          centers[index],
+          PATH_LINE_THICKNESS,
+          [0.3, 0.8, 1.0, 0.6],
+          depthIndex,
+        ));
+      }
+      path.points.slice(1).forEach((point) => {
+        overlays.push({
+          x: point.x,
+          y: point.y,
+          w,
+          h,
+          shape: this.selectedBrick.shape || 'rect',
+          points: this.selectedBrick.points,
+          color: [0.3, 0.8, 1.0, 0.15],
+          rotation: this.selectedBrick.rotation || 0,
+          depthIndex,
+        });
+        overlays.push({
+          x: point.x + w / 2 - PATH_HANDLE_SIZE / 2,
+          y: point.y + h / 2 - PATH_HANDLE_SIZE / 2,
+          w: PATH_HANDLE_SIZE,
+          h: PATH_HANDLE_SIZE,
+          shape: 'circle',
+          color: [0.3, 0.8, 1.0, 0.9],
+          rotation: 0,
+          depthIndex: depthIndex - 0.05,
+        });
+      });
+    }
+
+    if (this.polygonDraft) {
+      const depthIndex = this.currentLayer - 0.8;
+      const outline = this.pointerWorld ? [...this.polygonDraft, this.pointerWorld] : this.polygonDraft;
+      for (let index = 1; index < outline.length; index += 1) {
+        overlays.push(makeSegmentOverlay(
+          outline[index - 1],
+          outline[index],
+          POLYGON_LINE_THICKNESS,
+          [1.0, 1.0, 1.0, 0.7],
+          depthIndex,
+        ));
+      }
+      this.polygonDraft.forEach((point, index) => {
+        // The first vertex is larger: clicking it closes the polygon
+        const size = index === 0 ? POLYGON_HANDLE_SIZE * 1.6 : POLYGON_HANDLE_SIZE;
+        overlays.push({
+          x: point.x - size / 2,
+          y: point.y - size / 2,
+          w: size,
+          h: size,
+          shape: 'circle',
+          color: index === 0 ? [0.3, 1.0, 0.5, 0.9] : [1.0, 1.0, 1.0, 0.9],
+          rotation: 0,
+          depthIndex: depthIndex - 0.05,
+        });
+      });
+    }
+
+    if (this.pendingJoint && this.pointerWorld) {
+      overlays.push(makeSegmentOverlay(
+        this.pendingJoint.anchor,
+        this.pointerWorld,
+        JOINT_PREVIEW_THICKNESS,
+        [1.0, 0.85, 0.2, 0.8],
+        (this.pendingJoint.bodyA.z ?? this.currentLayer) - 0.8,
+      ));
+    }
+
     if (this.selectedBrick) {
       overlays.push({
         x: this.selectedBrick.x - SELECTION_PADDING,
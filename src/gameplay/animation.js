@@ -6,6 +6,7 @@
 // - Deriva píxeles automáticamente del tamaño del collision box
 // - NO requiere cambios si modificas el tamaño físico del personaje
 // - Se puede aplicar a CUALQUIER entidad que tenga: x, y, w, h, vx, vy, onGround
+//   (e isSwimming, opcional, para la animación de nado)
 // - Soporta múltiples "skins" mediante proporciones y colores configurables
 
 export const DEFAULT_CONFIG = {
@@ -15,7 +16,8 @@ export const DEFAULT_CONFIG = {
       walk: 10.0,       // Ciclo de caminata
       jump: 1.0,        // (no usado actualmente)
       land: 15.0,       // Velocidad de recuperación del squash
-      turn: 12.0        // Velocidad de giro
+      turn: 12.0,       // Velocidad de giro
+      swim: 5.0         // Ciclo de brazadas al nadar
     },
     
     // Efectos de animación
@@ -26,7 +28,8 @@ export const DEFAULT_CONFIG = {
     
     // Suavizado
     interpolationSpeed: 15.0, // Velocidad de interpolación entre poses
-    visualLag: 8.0            // Follow-through visual (retraso de la representación vs física)
+    visualLag: 8.0,           // Follow-through visual (retraso de la representación vs física)
+    teleportDistance: 300     // Saltos mayores (wrap-around, reaparición) no se suavizan
   };
   
   export const DEFAULT_SPEC = {
@@ -224,6 +227,37 @@ export const DEFAULT_CONFIG = {
       };
     },
   
+    /**
+     * Pose de nado: brazadas alternas y patada corta, cuerpo inclinado
+     */
+    swim(t, C) {
+      const cyc = t * (C.speeds.swim ?? DEFAULT_CONFIG.speeds.swim);
+      const L = Math.sin(cyc);
+      const R = Math.sin(cyc + Math.PI);
+      const kick = Math.sin(cyc * 2) * 0.25;
+
+      return {
+        head: { x: 0.04, y: -0.32, rotation: -0.15 },
+        torso: {
+          x: 0,
+          y: Math.sin(cyc) * 0.02,
+          rotation: 0.25,
+          scaleX: 1,
+          scaleY: 1
+        },
+        leftArm: {
+          upper: -Math.PI * 0.15 + L * Math.PI * 0.45,
+          lower: -Math.PI * 0.05 - Math.max(0, L) * 0.40
+        },
+        rightArm: {
+          upper: -Math.PI * 0.15 + R * Math.PI * 0.45,
+          lower: -Math.PI * 0.05 - Math.max(0, R) * 0.40
+        },
+        leftLeg: { upper: Math.PI * 0.60 + kick, lower: Math.PI * 0.05 },
+        rightLeg: { upper: Math.PI * 0.60 - kick, lower: Math.PI * 0.05 }
+      };
+    },
+  
     /**
      * Pose de aterrizaje con squash
      */
@@ -447,6 +481,9 @@ export const DEFAULT_CONFIG = {
       if (this.currentState === 'land' && this.stateTime < 0.15) {
         return 'land';
       }
+
+      // En el agua se nada, toque o no el fondo
+      if (actor.isSwimming) return 'swim';
   
       // Estados en el aire
       if (airborne) {
@@ -462,7 +499,7 @@ export const DEFAULT_CONFIG = {
   
     /**
      * Actualiza el estado de la animación basándose en el actor
-     * El actor debe tener: x, y, w, h, vx, vy, onGround
+     * El actor debe tener: x, y, w, h, vx, vy, onGround (e isSwimming, opcional)
      */
     update(actor, dt) {
       this.totalTime += dt;
@@ -515,6 +552,9 @@ export const DEFAULT_CONFIG = {
         case 'land':
           targetPose = PoseLibrary.land(this.landSquash, this.config);
           break;
+        case 'swim':
+          targetPose = PoseLibrary.swim(this.totalTime, this.config);
+          break;
         default:
           targetPose = PoseLibrary.neutral();
       }
@@ -525,8 +565,13 @@ export const DEFAULT_CONFIG = {
       // Follow-through visual (centro del AABB del actor)
       const cx = actor.x + actor.w * 0.5;
       const cy = actor.y + actor.h * 0.5;
-      this.visualX = lerp(this.visualX, cx, dt * this.config.visualLag);
-      this.visualY = lerp(this.visualY, cy, dt * this.config.visualLag);
+      if (Math.hypot(cx - this.visualX, cy - this.visualY) > this.config.teleportDistance) {
+        this.visualX = cx;
+        this.visualY = cy;
+      } else {
+        this.visualX = lerp(this.visualX, cx, dt * this.config.visualLag);
+        this.visualY = lerp(this.visualY, cy, dt * this.config.visualLag);
+      }
   
       // Calcular métricas en píxeles para este frame
       this._lastMetrics = metricsFromAABB(
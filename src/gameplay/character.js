@@ -4,6 +4,11 @@
 
 import { AnimationController, DEFAULT_SPEC, DEFAULT_CONFIG } from './animation.js';
 
+// Fracción del cuerpo bajo un fluido a partir de la cual el personaje nada
+const SWIM_SUBMERSION = 0.5;
+// Pendiente máxima (grados) sobre la que se puede estar de pie si no se indica otra
+const DEFAULT_MAX_SLOPE_ANGLE = 50;
+
 export class Character {
   /**
    * Clase base para entidades físicas con animación
@@ -11,6 +16,8 @@ export class Character {
    * @param {number} y - Posición Y inicial  
    * @param {object} options - Configuración
    *   - w, h: Dimensiones del collision box
+   *   - shape: Forma de colisión ('capsule' por defecto)
+   *   - maxSlopeAngle: Pendiente máxima caminable en grados
    *   - appearance: { proportions, colors } para AnimationController
    *   - animation: config de animación (speeds, squash, etc)
    */
@@ -28,9 +35,17 @@ export class Character {
     // Propiedades físicas para el motor
     this.isStatic = false;
     this.onGround = false;
-    this.shape = 'rect';
+    // Normal del suelo que se pisa y de la pendiente demasiado empinada que se
+    // toca (las rellena el motor en cada paso)
+    this.groundNormal = null;
+    this.steepNormal = null;
+    // El motor solo trata como suelo las superficies hasta esta inclinación (radianes)
+    this.maxSlope = (options.maxSlopeAngle ?? DEFAULT_MAX_SLOPE_ANGLE) * Math.PI / 180;
+    // Cápsula: los extremos redondeados se deslizan sobre las juntas entre bricks
+    this.shape = options.shape || 'capsule';
     this.rotation = 0;
     this.angularVelocity = 0; // Velocidad angular en radianes/segundo
+    this.submerged = 0; // Fracción sumergida en fluidos (la calcula el motor)
     this.id = options.id || `character_${Date.now()}`;
 
     // Propiedades físicas realistas
@@ -41,6 +56,14 @@ export class Character {
     this.restitution = options.restitution !== undefined ? options.restitution : 0.2; // Personajes rebotan poco
     this.density = density;
 
+    // Los personajes se controlan desde fuera del motor: nunca se duermen
+    this.allowSleep = false;
+
+    // Los personajes no giran por contactos: inercia infinita
+    this.fixedRotation = true;
+    this.inertia = this.mass * (this.w * this.w + this.h * this.h) / 12;
+    this.invInertia = 0;
+
     // Sistema de animación (completamente desacoplado del tamaño físico)
     const animSpec = {
       proportions: { ...DEFAULT_SPEC.proportions, ...(options.appearance?.proportions || {}) },
@@ -67,6 +90,14 @@ export class Character {
     this.animationController.update(this, dt);
   }
   
+  /**
+   * Si el personaje está nadando (sumergido al menos hasta la mitad)
+   * @returns {boolean}
+   */
+  get isSwimming() {
+    return this.submerged >= SWIM_SUBMERSION;
+  }
+
   /**
    * Retorna los drawables para renderizar
    * Este es el único método que la subclase necesita para rendering
@@ -104,7 +135,7 @@ export class Character {
       y: this.y,
       w: this.w,
       h: this.h,
-      shape: 'rect',
+      shape: this.shape,
       color: [1, 0, 0, 0.3],
       rotation: 0
     };
@@ -3,6 +3,39 @@
 // Hereda de Character para obtener física + animación de forma genérica
 
 import { Character } from './character.js';
+import { addBody, removeBody, mixFriction, getGravityDirection, shapeCast, isWalkableNormal, damageBrick } from '../physics/index.js';
+
+// Rapidez (1/s) con la que la velocidad alcanza la deseada con tracción completa
+const GROUND_ACCELERATION = 12;
+// Tiempo (s) que se ignoran las plataformas de un sentido al dejarse caer
+const DROP_THROUGH_TIME = 0.2;
+// Distancia (px) que se busca suelo por debajo al bajar una rampa caminando
+const GROUND_SNAP_DISTANCE = 16;
+// Tiempo (s) que se recuerda una pendiente demasiado empinada tras tocarla:
+// al resbalar hasta su pie el contacto con ella va y viene
+const STEEP_SLOPE_MEMORY = 0.1;
+// Nado: fracción de la velocidad de caminar, rapidez (1/s) con la que se
+// alcanza y fracción del impulso de salto que da una brazada bajo el agua
+const SWIM_SPEED_FACTOR = 0.5;
+const SWIM_ACCELERATION = 10;
+const SWIM_STROKE_FACTOR = 0.6;
+// Daño que hace a un brick rompible golpearlo con la cabeza desde abajo, y
+// alineación mínima del contacto con la gravedad para contar como desde abajo
+const HEAD_HIT_DAMAGE = 1;
+const HEAD_HIT_ALIGNMENT = 0.7;
+// Estado propio del jugador que no vive en el mundo físico (ver getState)
+const PLAYER_STATE_FIELDS = [
+  'coyoteTime',
+  'jumpBuffer',
+  'jumpWasPressed',
+  'moveDirection',
+  'downPressed',
+  'upPressed',
+  'dropThroughTime',
+  'wasOnGround',
+  'steepSlope',
+  'steepSlopeTime',
+];
 
 // Presets de personajes - fácilmente extensible
 export const PLAYER_PRESETS = {
@@ -11,6 +44,7 @@ export const PLAYER_PRESETS = {
     h: 48,
     speed: 360,
     jumpImpulse: 720,
+    maxSlopeAngle: 50, // Pendiente máxima caminable (grados)
     appearance: {
       proportions: {
         headRadius: 0.18,
@@ -28,7 +62,7 @@ export const PLAYER_PRESETS = {
       }
     },
     animation: {
-      speeds: { idle: 2.0, walk: 10.0, jump: 1.0, land: 15.0, turn: 12.0 },
+      speeds: { idle: 2.0, walk: 10.0, jump: 1.0, land: 15.0, turn: 12.0, swim: 5.0 },
       squashStretch: 0.20,
       breathingAmount: 0.03,
       walkBounce: 0.15,
@@ -44,6 +78,7 @@ export const PLAYER_PRESETS = {
     h: 70,
     speed: 240,
     jumpImpulse: 600,
+    maxSlopeAngle: 40,
     appearance: {
       proportions: {
         headRadius: 0.15,
@@ -61,7 +96,7 @@ export const PLAYER_PRESETS = {
       }
     },
     animation: {
-      speeds: { idle: 1.5, walk: 7.0, jump: 0.8, land: 12.0, turn: 8.0 },
+      speeds: { idle: 1.5, walk: 7.0, jump: 0.8, land: 12.0, turn: 8.0, swim: 4.0 },
       squashStretch: 0.25,
       breathingAmount: 0.04,
       walkBounce: 0.20,
@@ -77,6 +112,7 @@ export const PLAYER_PRESETS = {
     h: 40,
     speed: 480,
     jumpImpulse: 840,
+    maxSlopeAngle: 60,
     appearance: {
       proportions: {
         headRadius: 0.20,
@@ -94,7 +130,7 @@ export const PLAYER_PRESETS = {
       }
     },
     animation: {
-      speeds: { idle: 2.5, walk: 12.0, jump: 1.2, land: 18.0, turn: 15.0 },
+      speeds: { idle: 2.5, walk: 12.0, jump: 1.2, land: 18.0, turn: 15.0, swim: 6.0 },
       squashStretch: 0.15,
       breathingAmount: 0.02,
       walkBounce: 0.10,
@@ -122,6 +158,7 @@ export class Player extends Character {
       id: 'player',
       w: config.w,
       h: config.h,
+      maxSlopeAngle: config.maxSlopeAngle,
       appearance: config.appearance,
       animation: config.animation
     });
@@ -135,26 +172,42 @@ export class Player extends Character {
     this.coyoteMax = 0.10;
     this.jumpBuffer = 0;
     this.jumpBufferMax = 0.10;
-    this.spaceWasPressed = false;
+    this.jumpWasPressed = false;
+    this.moveDirection = 0;
+    this.downPressed = false;
+    this.upPressed = false;
+    this.dropThroughTime = 0;
+    this.ignoreOneWay = false;
+    this.wasOnGround = false;
+    this.steepSlope = null;
+    this.steepSlopeTime = 0;
   }
   
   /**
-   * Procesa el input del jugador
-   * @param {object} keys - Estado de las teclas
+   * Procesa el input del jugador. Recibe acciones, no teclas: qué tecla
+   * dispara cada una lo decide la configuración de controles (ver
+   * runtime/input.js). `moveX` es el eje analógico de un mando, de -1 a 1
+   * @param {{moveX?: number, moveLeft?: boolean, moveRight?: boolean, up?: boolean, down?: boolean, jump?: boolean}} actions - Acciones activas
    */
-  input(keys) {
-    // Movimiento horizontal
+  input(actions) {
+    // Movimiento horizontal: las teclas van a toda velocidad; sin ellas, el
+    // stick analógico da velocidades intermedias
     let dir = 0;
-    if (keys['KeyA'] || keys['ArrowLeft']) dir -= 1;
-    if (keys['KeyD'] || keys['ArrowRight']) dir += 1;
-    this.vx = dir * this.speed;
+    if (actions.moveLeft) dir -= 1;
+    if (actions.moveRight) dir += 1;
+    if (dir === 0 && Number.isFinite(actions.moveX)) {
+      dir = Math.max(-1, Math.min(1, actions.moveX));
+    }
+    this.moveDirection = dir;
+    this.downPressed = Boolean(actions.down);
+    this.upPressed = Boolean(actions.up);
     
     // Salto con buffer
-    const space = keys['Space'];
-    if (space && !this.spaceWasPressed) {
+    const jump = Boolean(actions.jump);
+    if (jump && !this.jumpWasPressed) {
       this.jumpBuffer = this.jumpBufferMax;
     }
-    this.spaceWasPressed = space;
+    this.jumpWasPressed = jump;
   }
   
   /**
@@ -163,25 +216,257 @@ export class Player extends Character {
    * @param {number} dt - Delta time
    */
   update(world, dt) {
+    // La gravedad local (zonas de gravedad incluidas) decide dónde está el
+    // suelo: se camina a lo largo de él y se salta en contra de la gravedad
+    const down = getGravityDirection(this.localGravity || world.settings.gravity);
+    const axis = this.getWalkAxis(down);
+    this.hitBricksAbove(world, down);
+
+    // En un fluido se nada en lugar de caminar
+    if (this.isSwimming) {
+      this.swim(down, axis, dt);
+    } else {
+      this.snapToGround(world, down);
+      this.walk(down, axis, dt);
+    }
+    this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
+    this.dropThroughTime = Math.max(0, this.dropThroughTime - dt);
+    this.steepSlopeTime = Math.max(0, this.steepSlopeTime - dt);
+    this.ignoreOneWay = this.dropThroughTime > 0;
+    
+    // Actualizar animación (del Character base)
+    super.update(world, dt);
+  }
+
+  /**
+   * Caminar y saltar sobre el suelo que marca la gravedad
+   * @param {{x: number, y: number}} down - Dirección unitaria de la gravedad
+   * @param {{x: number, y: number}} axis - Eje de caminar (ver getWalkAxis)
+   * @param {number} dt - Delta time
+   */
+  walk(down, axis, dt) {
+    // Movimiento horizontal: con tracción completa la velocidad se fija al
+    // instante; sobre superficies resbaladizas (hielo) se acerca poco a poco.
+    // Sobre una plataforma móvil se suma su velocidad para viajar con ella.
+    // En el suelo se avanza a lo largo de la pendiente, no del eje
+    const grounded = this.onGround && this.groundNormal;
+    const direction = grounded ? this.getSlopeAxis(axis) : axis;
+    const platform = this.onGround && this.groundBody?.isKinematic ? this.groundBody : null;
+    const platformSpeed = platform ? platform.vx * direction.x + platform.vy * direction.y : 0;
+    const currentSpeed = this.vx * direction.x + this.vy * direction.y;
+    let targetSpeed = this.moveDirection * this.speed + platformSpeed;
+    // Contra una pendiente demasiado empinada no se empuja, y sobre ella sin
+    // pulsar nada se resbala: solo se controla el alejarse de ella
+    if (this.steepNormal) {
+      this.steepSlope = { x: this.steepNormal.x, y: this.steepNormal.y };
+      this.steepSlopeTime = STEEP_SLOPE_MEMORY;
+    }
+    const steep = this.steepSlopeTime > 0 ? this.steepSlope : null;
+    const push = steep ? this.moveDirection * (axis.x * steep.x + axis.y * steep.y) : 1;
+    if (push < 0 || (push === 0 && !this.onGround)) {
+      targetSpeed = currentSpeed;
+    }
+    const traction = this.getGroundTraction();
+    const nextSpeed = traction >= 1
+      ? targetSpeed
+      : currentSpeed + (targetSpeed - currentSpeed) * Math.min(1, traction * GROUND_ACCELERATION * dt);
+    this.vx += (nextSpeed - currentSpeed) * direction.x;
+    this.vy += (nextSpeed - currentSpeed) * direction.y;
+
+    // Parado en una rampa no se resbala: se descuenta la gravedad que tira a
+    // lo largo de ella, en proporción a la tracción (en hielo sí se resbala)
+    if (grounded && this.localGravity) {
+      const pull = (this.localGravity.x * direction.x + this.localGravity.y * direction.y) * Math.min(1, traction) * dt;
+      this.vx -= pull * direction.x;
+      this.vy -= pull * direction.y;
+    }
+
     // Coyote time - permite saltar justo después de caer
     this.coyoteTime = this.onGround 
       ? this.coyoteMax 
       : Math.max(0, this.coyoteTime - dt);
     
-    // Ejecutar salto con buffer
+    // Ejecutar salto con buffer (Abajo + Salto sobre una plataforma de un
+    // sentido la atraviesa en lugar de saltar)
     if (this.jumpBuffer > 0) {
-      if (this.coyoteTime > 0) {
-        this.vy = -this.jumpImpulse;
+      if (this.downPressed && this.onGround && this.groundBody?.oneWay) {
+        this.dropThroughTime = DROP_THROUGH_TIME;
+        this.coyoteTime = 0;
+        this.jumpBuffer = 0;
+      } else if (this.coyoteTime > 0) {
+        // Se anula la velocidad a favor de la gravedad y se impulsa en contra
+        const fall = this.vx * down.x + this.vy * down.y;
+        this.vx -= (fall + this.jumpImpulse) * down.x;
+        this.vy -= (fall + this.jumpImpulse) * down.y;
         this.coyoteTime = 0;
         this.jumpBuffer = 0;
       }
     }
-    this.jumpBuffer = Math.max(0, this.jumpBuffer - dt);
-    
-    // Actualizar animación (del Character base)
-    super.update(world, dt);
+
+    // Tras saltar o dejarse caer no se busca el suelo en el siguiente paso
+    this.wasOnGround = this.onGround && this.coyoteTime > 0;
+  }
+
+  /**
+   * Los bricks rompibles que el jugador empezó a tocar con la cabeza en el
+   * último paso (saltando contra ellos desde abajo) pierden vida
+   * @param {object} world - Mundo físico
+   * @param {{x: number, y: number}} down - Dirección unitaria de la gravedad
+   */
+  hitBricksAbove(world, down) {
+    for (const event of world.events) {
+      if (event.type !== 'contactBegin') continue;
+      if (event.bodyA !== this && event.bodyB !== this) continue;
+      const other = event.bodyA === this ? event.bodyB : event.bodyA;
+      if (!other.breakable) continue;
+      // La normal apunta de bodyB a bodyA: hacia el jugador si es bodyA
+      const sign = event.bodyA === this ? 1 : -1;
+      const alignment = (event.normal.x * down.x + event.normal.y * down.y) * sign;
+      if (alignment >= HEAD_HIT_ALIGNMENT) {
+        damageBrick(world, other, HEAD_HIT_DAMAGE);
+      }
+    }
+  }
+
+  /**
+   * Pega al suelo al jugador que lo acaba de perder caminando (al pasar a
+   * una rampa que baja o por la cima de una cuesta) en lugar de dejarlo
+   * salir despedido. Solo si estaba en el suelo en el paso anterior, no ha
+   * saltado y no sube más rápido de lo que camina (un impulso externo sí lo
+   * despega)
+   * @param {object} world - Mundo físico
+   * @param {{x: number, y: number}} down - Dirección unitaria de la gravedad
+   */
+  snapToGround(world, down) {
+    if (this.onGround || !this.wasOnGround) return;
+    const rise = -(this.vx * down.x + this.vy * down.y);
+    if (rise > this.speed) return;
+
+    const from = { x: this.x, y: this.y };
+    const to = { x: this.x + down.x * GROUND_SNAP_DISTANCE, y: this.y + down.y * GROUND_SNAP_DISTANCE };
+    const hit = shapeCast(world, this, from, to, {
+      exclude: this,
+      test: body => !(this.ignoreOneWay && body.oneWay),
+    });
+    if (!hit || hit.fraction === 0 || !isWalkableNormal(this, hit.normal)) return;
+
+    this.x = hit.point.x;
+    this.y = hit.point.y;
+    // Se pierde la velocidad que lo separaba del nuevo suelo
+    const away = this.vx * hit.normal.x + this.vy * hit.normal.y;
+    if (away > 0) {
+      this.vx -= away * hit.normal.x;
+      this.vy -= away * hit.normal.y;
+    }
+    this.onGround = true;
+    this.groundBody = hit.body;
+    this.groundNormal = { x: hit.normal.x, y: hit.normal.y };
+  }
+
+  /**
+   * Nadar: izquierda/derecha a lo largo del eje de caminar, Arriba/Abajo en
+   * contra o a favor de la gravedad (sin ellas manda la flotación) y Salto da
+   * una brazada. Desde la superficie la brazada es un salto completo para
+   * poder salir del agua
+   * @param {{x: number, y: number}} down - Dirección unitaria de la gravedad
+   * @param {{x: number, y: number}} axis - Eje de caminar (ver getWalkAxis)
+   * @param {number} dt - Delta time
+   */
+  swim(down, axis, dt) {
+    const blend = Math.min(1, SWIM_ACCELERATION * dt);
+    const swimSpeed = this.speed * SWIM_SPEED_FACTOR;
+
+    const currentSpeed = this.vx * axis.x + this.vy * axis.y;
+    const speedChange = (this.moveDirection * swimSpeed - currentSpeed) * blend;
+    this.vx += speedChange * axis.x;
+    this.vy += speedChange * axis.y;
+
+    const vertical = (this.downPressed ? 1 : 0) - (this.upPressed ? 1 : 0);
+    const fall = this.vx * down.x + this.vy * down.y;
+    if (vertical !== 0) {
+      const fallChange = (vertical * swimSpeed - fall) * blend;
+      this.vx += fallChange * down.x;
+      this.vy += fallChange * down.y;
+    }
+
+    if (this.jumpBuffer > 0) {
+      const impulse = this.submerged < 1 ? this.jumpImpulse : this.jumpImpulse * SWIM_STROKE_FACTOR;
+      const currentFall = this.vx * down.x + this.vy * down.y;
+      const nextFall = Math.min(currentFall, 0) - impulse;
+      this.vx += (nextFall - currentFall) * down.x;
+      this.vy += (nextFall - currentFall) * down.y;
+      this.jumpBuffer = 0;
+    }
+    this.coyoteTime = 0;
+    this.wasOnGround = false;
   }
   
+  /**
+   * Eje de caminar: perpendicular a la gravedad, orientado para que la
+   * tecla derecha avance hacia la derecha de la pantalla (o hacia abajo si la
+   * gravedad es horizontal)
+   * @param {{x: number, y: number}} down - Dirección unitaria de la gravedad
+   * @returns {{x: number, y: number}}
+   */
+  getWalkAxis(down) {
+    const axis = { x: -down.y, y: down.x };
+    if (axis.x < 0 || (axis.x === 0 && axis.y < 0)) {
+      axis.x = -axis.x;
+      axis.y = -axis.y;
+    }
+    return axis;
+  }
+
+  /**
+   * Dirección de caminar sobre el suelo actual: la tangente de su normal,
+   * orientada como el eje de caminar
+   * @param {{x: number, y: number}} axis - Eje de caminar (ver getWalkAxis)
+   * @returns {{x: number, y: number}}
+   */
+  getSlopeAxis(axis) {
+    const tangent = { x: -this.groundNormal.y, y: this.groundNormal.x };
+    if (tangent.x * axis.x + tangent.y * axis.y < 0) {
+      tangent.x = -tangent.x;
+      tangent.y = -tangent.y;
+    }
+    return tangent;
+  }
+
+  /**
+   * Tracción relativa sobre el suelo actual: 1 con el material por defecto
+   * (o en el aire), menos de 1 en superficies con menos fricción
+   * @returns {number}
+   */
+  getGroundTraction() {
+    if (!this.onGround || !this.groundBody) {
+      return 1;
+    }
+    return mixFriction(this.friction, this.groundBody.friction) / mixFriction();
+  }
+
+  /**
+   * Temporizadores e input ya procesado del jugador. La posición y la
+   * velocidad las guarda snapshotWorld; esto completa el estado para poder
+   * restaurar una partida y repetirla de forma idéntica
+   * @returns {object} Datos planos (serializables con JSON)
+   */
+  getState() {
+    const state = {};
+    PLAYER_STATE_FIELDS.forEach(field => { state[field] = this[field]; });
+    return state;
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   * @param {object} state
+   */
+  setState(state) {
+    if (!state) return;
+    PLAYER_STATE_FIELDS.forEach(field => {
+      if (state[field] !== undefined) this[field] = state[field];
+    });
+  }
+
   /**
    * Cambia el preset del jugador en runtime
    * @param {string} presetName - Nombre del preset
@@ -198,6 +483,7 @@ export class Player extends Character {
     this.h = preset.h;
     this.speed = preset.speed;
     this.jumpImpulse = preset.jumpImpulse;
+    this.maxSlope = preset.maxSlopeAngle * Math.PI / 180;
     
     // Actualizar apariencia
     this.setAppearance(preset.appearance);
@@ -208,11 +494,13 @@ export class Player extends Character {
   addToWorld(world) {
     const index = world.bodies.findIndex(b => b.id === this.id);
     if (index === -1) {
-      world.bodies.push(this);
+      addBody(world, this);
     }
   }
   
   removeFromWorld(world) {
-    world.bodies = world.bodies.filter(b => b.id !== this.id);
+    world.bodies
+      .filter(b => b.id === this.id)
+      .forEach(b => removeBody(world, b));
   }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Breakable bricks: a brick with `breakable` has hit points that impacts,
+// explosions and gameplay code take away. At zero it is removed and replaced
+// by `fragments` small dynamic pieces that fade out; with `respawn` seconds
+// it comes back whole after that time (0 keeps it broken until the level is
+// reset)
+export const DEFAULT_BREAKABLE = { health: 3, fragments: 4, respawn: 0 };
+
+export const MAX_BREAKABLE_HEALTH = 20;
+export const MAX_FRAGMENTS = 16;
+
+// Resolve a { health, fragments, respawn } object (missing values come from
+// DEFAULT_BREAKABLE) or true for the defaults; anything else means "not breakable"
+export function normalizeBreakable(breakable) {
+  if (breakable === true) return { ...DEFAULT_BREAKABLE };
+  if (!breakable || typeof breakable !== 'object') return null;
+  const count = (value, min, max, fallback) => (
+    Number.isFinite(value) ? Math.min(Math.max(Math.round(value), min), max) : fallback
+  );
+  return {
+    health: count(breakable.health, 1, MAX_BREAKABLE_HEALTH, DEFAULT_BREAKABLE.health),
+    fragments: count(breakable.fragments, 0, MAX_FRAGMENTS, DEFAULT_BREAKABLE.fragments),
+    respawn: Number.isFinite(breakable.respawn) && breakable.respawn > 0 ? breakable.respawn : 0,
+  };
+}
+
+// Split a brick's box into a grid of `count` cells, as close to square as the
+// brick allows, filled row by row. Returns each cell's size and center in
+// world space (the brick's rotation carries over)
+export function fragmentLayout(brick, count) {
+  if (count <= 0) return [];
+  const columns = Math.max(1, Math.min(count, Math.round(Math.sqrt(count * brick.w / brick.h))));
+  const rows = Math.ceil(count / columns);
+  const w = brick.w / columns;
+  const h = brick.h / rows;
+  const rotation = brick.rotation || 0;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const centerX = brick.x + brick.w / 2;
+  const centerY = brick.y + brick.h / 2;
+
+  const cells = [];
+  for (let index = 0; index < count; index++) {
+    const localX = -brick.w / 2 + w * ((index % columns) + 0.5);
+    const localY = -brick.h / 2 + h * (Math.floor(index / columns) + 0.5);
+    cells.push({
+      w,
+      h,
+      x: centerX + localX * cos - localY * sin,
+      y: centerY + localX * sin + localY * cos,
+    });
+  }
+  return cells;
+}
@@ -0,0 +1,105 @@
+// Uniform grid broadphase: buckets bodies by the cells their AABB touches so the
+// narrowphase (SAT) only runs on bodies that share at least one cell
+const DEFAULT_CELL_SIZE = 128;
+
+export function createBroadphase(cellSize = DEFAULT_CELL_SIZE) {
+  return {
+    cellSize,
+    cells: new Map(), // cell key -> Set of bodies
+    proxies: new Map(), // body -> covered cell range
+  };
+}
+
+function cellRange(grid, aabb) {
+  const size = grid.cellSize;
+  return {
+    minX: Math.floor(aabb.minX / size),
+    minY: Math.floor(aabb.minY / size),
+    maxX: Math.floor(aabb.maxX / size),
+    maxY: Math.floor(aabb.maxY / size),
+  };
+}
+
+function sameRange(a, b) {
+  return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+}
+
+function cellKey(cx, cy) {
+  return `${cx},${cy}`;
+}
+
+export function broadphaseInsert(grid, body, aabb) {
+  if (grid.proxies.has(body)) {
+    broadphaseRemove(grid, body);
+  }
+
+  const range = cellRange(grid, aabb);
+  for (let cx = range.minX; cx <= range.maxX; cx++) {
+    for (let cy = range.minY; cy <= range.maxY; cy++) {
+      const key = cellKey(cx, cy);
+      let cell = grid.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        grid.cells.set(key, cell);
+      }
+      cell.add(body);
+    }
+  }
+  grid.proxies.set(body, range);
+}
+
+export function broadphaseRemove(grid, body) {
+  const range = grid.proxies.get(body);
+  if (!range) return;
+
+  for (let cx = range.minX; cx <= range.maxX; cx++) {
+    for (let cy = range.minY; cy <= range.maxY; cy++) {
+      const key = cellKey(cx, cy);
+      const cell = grid.cells.get(key);
+      if (!cell) continue;
+      cell.delete(body);
+      if (cell.size === 0) {
+        grid.cells.delete(key);
+      }
+    }
+  }
+  grid.proxies.delete(body);
+}
+
+// Re-bucket a body only when the set of cells it covers changed
+export function broadphaseUpdate(grid, body, aabb) {
+  const current = grid.proxies.get(body);
+  if (current && sameRange(current, cellRange(grid, aabb))) {
+    return;
+  }
+  broadphaseInsert(grid, body, aabb);
+}
+
+export function broadphaseQuery(grid, aabb, results = new Set()) {
+  const range = cellRange(grid, aabb);
+  for (let cx = range.minX; cx <= range.maxX; cx++) {
+    for (let cy = range.minY; cy <= range.maxY; cy++) {
+      const cell = grid.cells.get(cellKey(cx, cy));
+      if (!cell) continue;
+      for (const body of cell) {
+        results.add(body);
+      }
+    }
+  }
+  return results;
+}
+
+// Occupied cells as boxes with the number of bodies in each (debug drawing)
+export function broadphaseCells(grid) {
+  const size = grid.cellSize;
+  return [...grid.cells].map(([key, bodies]) => {
+    const [cx, cy] = key.split(',').map(Number);
+    return {
+      minX: cx * size,
+      minY: cy * size,
+      maxX: (cx + 1) * size,
+      maxY: (cy + 1) * size,
+      count: bodies.size,
+    };
+  });
+}
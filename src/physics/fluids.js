@@ -0,0 +1,30 @@
+// Fluid regions: sensor bricks that push the bodies inside them up with a
+// buoyancy proportional to the submerged area and slow them down with drag.
+// A brick stores the resolved values in `fluid`; the presets are starting points
+export const FLUIDS = {
+  water: { density: 1.0, linearDrag: 1.5, angularDrag: 1.5 },
+  oil: { density: 0.8, linearDrag: 3.0, angularDrag: 3.0 },
+  honey: { density: 1.4, linearDrag: 8.0, angularDrag: 8.0 },
+};
+
+export const DEFAULT_FLUID = 'water';
+
+export function getFluid(name) {
+  return FLUIDS[name] || FLUIDS[DEFAULT_FLUID];
+}
+
+// Resolve a preset name or a { density, linearDrag, angularDrag } object
+// (missing values come from water); anything else means "no fluid"
+export function normalizeFluid(fluid) {
+  if (typeof fluid === 'string') {
+    return Object.prototype.hasOwnProperty.call(FLUIDS, fluid) ? { ...FLUIDS[fluid] } : null;
+  }
+  if (!fluid || typeof fluid !== 'object') return null;
+  const preset = getFluid(DEFAULT_FLUID);
+  const value = (field) => (Number.isFinite(fluid[field]) && fluid[field] >= 0 ? fluid[field] : preset[field]);
+  return {
+    density: value('density'),
+    linearDrag: value('linearDrag'),
+    angularDrag: value('angularDrag'),
+  };
+}
@@ -1,25 +1,337 @@
-import { FLOOR_HEIGHT } from '../core/constants.js';
+import { VIRTUAL_WIDTH, VIRTUAL_HEIGHT, FLOOR_HEIGHT } from '../core/constants.js';
+import {
+  createBroadphase,
+  broadphaseInsert,
+  broadphaseRemove,
+  broadphaseUpdate,
+  broadphaseQuery,
+  broadphaseCells,
+} from './broadphase.js';
+import {
+  prepareJoints,
+  solveJoints,
+  solveJointPositions,
+  buildJointFilter,
+  removeJointsOf,
+  serializeJoints,
+  loadJoints,
+  snapshotJoints,
+  restoreJoints,
+} from './joints.js';
+import {
+  createPath,
+  serializePath,
+  resetKinematicBody,
+  advanceKinematicBody,
+} from './kinematic.js';
+import {
+  DEFAULT_MATERIAL,
+  getMaterial,
+  isMaterial,
+  mixFriction,
+  mixRestitution,
+} from './materials.js';
+import { normalizeFluid } from './fluids.js';
+import { normalizeBreakable, fragmentLayout } from './breakables.js';
+import {
+  normalizePolygonPoints,
+  decomposePolygon,
+  polygonMassProperties,
+} from './polygon.js';
+
+export { PATH_MODES } from './kinematic.js';
+export { FLUIDS } from './fluids.js';
+export { DEFAULT_BREAKABLE, MAX_BREAKABLE_HEALTH, MAX_FRAGMENTS } from './breakables.js';
+export {
+  MATERIALS,
+  mixFriction,
+} from './materials.js';
+export {
+  MIN_POLYGON_POINTS,
+  createPolygonFromWorldPoints,
+  isSimplePolygon,
+} from './polygon.js';
+export {
+  JOINT_TYPES,
+  createJoint,
+  removeJoint,
+  getJointAnchors,
+} from './joints.js';
 
 // Physics world with proper shape collisions, rotation, friction, gravity
-const GRAVITY = 1800;
-const FRICTION = 0.85;
-const AIR_RESISTANCE = 0.995; // Damping in air
 const MIN_VELOCITY = 0.1; // Threshold to stop small movements
-const DEFAULT_DENSITY = 1.0; // Default density for mass calculation
-const DEFAULT_RESTITUTION = 0.3; // Default bounciness (0 = no bounce, 1 = perfect bounce)
-const ANGULAR_DAMPING = 0.98; // Rotational friction
+const DEFAULT_DENSITY = getMaterial(DEFAULT_MATERIAL).density; // Default density for mass calculation
+const BOUNCE_THRESHOLD = 60; // Minimum approach speed (px/s) before restitution applies
+const MAX_COLLISION_ITERATIONS = 5; // Positional correction passes per step
+const VELOCITY_ITERATIONS = 8; // Sequential impulse passes per step
+const MAX_CONDITION_NUMBER = 1000; // Above this, two-point manifolds are solved point by point
+const CONTACT_SLOP = 0.5; // Tolerance (px) when clipping contact points
+const POSITION_SLOP = 0.25; // Overlap (px) left uncorrected so resting contacts persist between steps
+const WARM_START_DISTANCE = 4; // Max drift (px) for a contact point to reuse last step's impulse
+const FLOOR_DEPTH = 1000; // Extra collider depth below the floor so fast bodies cannot pass it
+const CCD_MOTION_RATIO = 0.5; // Sweep bodies that move further than this fraction of their smallest side per step
+const CCD_BISECTIONS = 6; // Refinement passes when locating the time of impact
+const ONE_WAY_NORMAL_THRESHOLD = 0.5; // Min alignment with a one-way brick's up side to land on it
+const ONE_WAY_SPEED_TOLERANCE = 5; // px/s of upward relative speed still accepted as landing
+const RIDER_JUMP_TOLERANCE = 20; // px/s faster upward than its platform before a rider counts as leaving it
+const ROUND_TOLERANCE = 0.5; // px of difference between w and h still treated as a true circle
+const ELLIPSE_SEGMENTS = 48; // Same tessellation as the rendered disc
+const FACE_PREFERENCE_SLOP = 0.5; // px a polygon face may lose by against a capsule and still give the normal
+const PART_NORMAL_AGREEMENT = 0.9; // Min alignment for a polygon part's contacts to join the deepest part's manifold
+const SLEEP_LINEAR_VELOCITY = 4; // px/s below which a body counts as resting
+const SLEEP_ANGULAR_VELOCITY = 0.05; // rad/s below which a body counts as resting
+const BREAK_IMPACT_SPEED = 1000; // px/s of impact per point of damage to a breakable brick
+const FRAGMENT_SPEED = 180; // px/s at which fragments fly away from the broken brick's center
+const FRAGMENT_SPIN = 4; // rad/s given to fragments, alternating direction
+const FRAGMENT_LIFETIME = 3; // Seconds before a fragment is removed
+const TIME_TO_SLEEP = 0.5; // Seconds an island must rest before it falls asleep
+const GROUND_NORMAL_THRESHOLD = 0.3; // Min alignment of a contact normal against gravity to count as ground
+const STEEP_NORMAL_THRESHOLD = 0.05; // Min alignment against gravity for a non-walkable contact to be a slope, not a wall
 
-export function createWorld(width, height) {
-  return {
+// Per-level tuning, stored in world.settings and saved with the level
+export const DEFAULT_WORLD_SETTINGS = {
+  gravity: { x: 0, y: 1800 }, // px/s², down the screen
+  airResistance: 0.995, // Velocity kept per step in the air
+  angularDamping: 0.98, // Angular velocity kept per step (rotational friction)
+  width: VIRTUAL_WIDTH, // Level size (px); the view scrolls over levels larger than the screen
+  height: VIRTUAL_HEIGHT,
+  bounds: { x: 'wall', y: 'open' }, // What the level edges do, see BOUND_MODES
+  floorHeight: FLOOR_HEIGHT, // 0 removes the floor
+};
+
+// Level edges, per axis. Left/right: 'wall' keeps bodies inside, 'wrap' moves
+// them to the opposite edge, 'open' lets them leave. Top/bottom: 'open',
+// 'ceiling' (a wall at the top), 'wrap', or 'kill', which reports bodies that
+// fall below the level with an 'outOfBounds' event
+export const BOUND_MODES = {
+  x: ['wall', 'wrap', 'open'],
+  y: ['open', 'ceiling', 'wrap', 'kill'],
+};
+
+// width and height are the level size unless the settings give another one
+export function createWorld(width, height, settings = {}) {
+  const world = {
     width,
     height,
+    settings: normalizeWorldSettings({ width, height, ...settings }),
     bodies: [],
     bricks: [],
+    broadphase: createBroadphase(),
+    contacts: new Map(), // pair key -> contact manifold from the last step
+    passThrough: new Set(), // pair keys currently crossing a one-way brick
+    sensorOverlaps: new Map(), // pair key -> { sensor, body } overlapping last step
+    events: [], // events raised by the last step, e.g. { type: 'sensorEnter', sensor, body }
+    joints: [],
+    brokenBricks: [], // { brick, joints, respawnIn } waiting to come back, see breakBrick()
+    fragmentSerial: 0, // Numbers fragment ids so replays create the same ones
+    floor: null,
   };
+  applyLevelSettings(world);
+  return world;
 }
 
-// Calculate mass based on shape and dimensions
-function calculateMass(shape, w, h, density = DEFAULT_DENSITY) {
+function normalizeGravity(gravity) {
+  if (!gravity || !Number.isFinite(gravity.x) || !Number.isFinite(gravity.y)) return null;
+  return { x: gravity.x, y: gravity.y };
+}
+
+function normalizeFactor(value, fallback) {
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : fallback;
+}
+
+function normalizeLength(value, fallback) {
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function normalizeBounds(bounds = {}) {
+  const mode = (axis) => (BOUND_MODES[axis].includes(bounds?.[axis]) ? bounds[axis] : DEFAULT_WORLD_SETTINGS.bounds[axis]);
+  return { x: mode('x'), y: mode('y') };
+}
+
+function normalizeWorldSettings(data = {}) {
+  return {
+    gravity: normalizeGravity(data.gravity) || { ...DEFAULT_WORLD_SETTINGS.gravity },
+    airResistance: normalizeFactor(data.airResistance, DEFAULT_WORLD_SETTINGS.airResistance),
+    angularDamping: normalizeFactor(data.angularDamping, DEFAULT_WORLD_SETTINGS.angularDamping),
+    width: normalizeLength(data.width, DEFAULT_WORLD_SETTINGS.width),
+    height: normalizeLength(data.height, DEFAULT_WORLD_SETTINGS.height),
+    bounds: normalizeBounds(data.bounds),
+    floorHeight: Number.isFinite(data.floorHeight) && data.floorHeight >= 0
+      ? data.floorHeight
+      : DEFAULT_WORLD_SETTINGS.floorHeight,
+  };
+}
+
+// Replace some or all of the world's settings; missing values keep theirs
+export function setWorldSettings(world, data = {}) {
+  world.settings = normalizeWorldSettings({ ...world.settings, ...data });
+  applyLevelSettings(world);
+  wakeAllBodies(world);
+  return world.settings;
+}
+
+export function serializeWorldSettings(world) {
+  return {
+    gravity: { ...world.settings.gravity },
+    airResistance: world.settings.airResistance,
+    angularDamping: world.settings.angularDamping,
+    width: world.settings.width,
+    height: world.settings.height,
+    bounds: { ...world.settings.bounds },
+    floorHeight: world.settings.floorHeight,
+  };
+}
+
+// The level size and floor follow the settings. The floor is resized in
+// place so contacts and groundBody references to it stay valid
+function applyLevelSettings(world) {
+  world.width = world.settings.width;
+  world.height = world.settings.height;
+  const { floorHeight } = world.settings;
+  if (floorHeight <= 0) {
+    if (world.floor) broadphaseRemove(world.broadphase, world.floor);
+    world.floor = null;
+    return;
+  }
+  if (!world.floor) {
+    world.floor = createFloor(world);
+  } else {
+    const margin = world.width;
+    world.floor.x = -margin;
+    world.floor.y = world.height - floorHeight;
+    world.floor.w = world.width + margin * 2;
+    world.floor.h = floorHeight + FLOOR_DEPTH;
+  }
+  broadphaseUpdate(world.broadphase, world.floor, getBodyAABB(world.floor));
+}
+
+// Gravity at a point: the world's, unless a gravity zone covers the point.
+// Where zones overlap the one added last wins
+export function getGravityAt(world, point) {
+  for (let i = world.bricks.length - 1; i >= 0; i--) {
+    const zone = world.bricks[i];
+    if (zone.gravityZone && pointInBrick(zone, point.x, point.y)) {
+      return zone.gravityZone;
+    }
+  }
+  return world.settings.gravity;
+}
+
+// Unit vector along a gravity; zero gravity falls back to straight down so
+// "up" and "along the floor" stay defined
+export function getGravityDirection(gravity) {
+  const length = gravity ? Math.hypot(gravity.x, gravity.y) : 0;
+  return length > 0 ? { x: gravity.x / length, y: gravity.y / length } : { x: 0, y: 1 };
+}
+
+// The floor is a static collider outside world.bodies/world.bricks: it is
+// neither serialized nor drawn as a brick, but it collides like one. Its
+// height comes from the level settings
+function createFloor(world) {
+  const margin = world.width;
+  const floorHeight = world.settings.floorHeight;
+  const floor = {
+    id: 'floor',
+    x: -margin,
+    y: world.height - floorHeight,
+    w: world.width + margin * 2,
+    h: floorHeight + FLOOR_DEPTH,
+    vx: 0, vy: 0,
+    rotation: 0,
+    angularVelocity: 0,
+    isStatic: true,
+    shape: 'rect',
+    mass: 0,
+    invMass: 0,
+    inertia: 0,
+    invInertia: 0,
+    material: DEFAULT_MATERIAL,
+    friction: getMaterial(DEFAULT_MATERIAL).friction,
+    restitution: getMaterial(DEFAULT_MATERIAL).restitution,
+  };
+  return floor;
+}
+
+// Axis-aligned bounds of a body, accounting for its rotation around the center.
+// Circles and capsules rotate rigidly; the other shapes rotate in normalized
+// space before being scaled (see toWorldPoint), so their corners reach
+// (|cos| + |sin|) / 2 of the width and of the height from the center
+export function getBodyAABB(body) {
+  const rotation = body.rotation || 0;
+  const cos = Math.abs(Math.cos(rotation));
+  const sin = Math.abs(Math.sin(rotation));
+  const rigid = body.shape === 'circle' || body.shape === 'capsule';
+  const halfW = rigid ? (body.w * cos + body.h * sin) / 2 : (cos + sin) * body.w / 2;
+  const halfH = rigid ? (body.w * sin + body.h * cos) / 2 : (cos + sin) * body.h / 2;
+  const cx = body.x + body.w / 2;
+  const cy = body.y + body.h / 2;
+  return {
+    minX: cx - halfW,
+    minY: cy - halfH,
+    maxX: cx + halfW,
+    maxY: cy + halfH,
+  };
+}
+
+export function addBody(world, body) {
+  if (!world.bodies.includes(body)) {
+    world.bodies.push(body);
+  }
+  broadphaseInsert(world.broadphase, body, getBodyAABB(body));
+  return body;
+}
+
+// Bodies can be removed in the middle of play (a brick breaking, a fragment
+// fading out): its contacts and sensor overlaps end right away, with their
+// events, and nothing keeps standing on it
+export function removeBody(world, body) {
+  for (const [key, contact] of world.contacts) {
+    if (contact.bodyA !== body && contact.bodyB !== body) continue;
+    // Whatever rested on the body must fall once it is gone
+    wakeBody(world, contact.bodyA === body ? contact.bodyB : contact.bodyA);
+    world.events.push(createContactEvent('contactEnd', contact, 0));
+    world.contacts.delete(key);
+  }
+  for (const [key, overlap] of world.sensorOverlaps) {
+    if (overlap.sensor !== body && overlap.body !== body) continue;
+    world.events.push({ type: 'sensorExit', sensor: overlap.sensor, body: overlap.body });
+    world.sensorOverlaps.delete(key);
+  }
+  for (const other of world.bodies) {
+    if (other.groundBody === body) other.groundBody = null;
+  }
+  world.bodies = world.bodies.filter(b => b !== body);
+  broadphaseRemove(world.broadphase, body);
+  removeJointsOf(world, body);
+}
+
+// Sleeping bodies are skipped by integration and collision tests until
+// something disturbs them. A body wakes together with the island it fell
+// asleep with (sleepIsland), so waking one crate of a stack wakes the stack
+export function wakeBody(world, body) {
+  if (!body?.isSleeping) return;
+  const island = body.sleepIsland;
+  for (const other of world.bodies) {
+    if (other === body || (other.isSleeping && island != null && other.sleepIsland === island)) {
+      other.isSleeping = false;
+      other.sleepTime = 0;
+      other.sleepIsland = null;
+    }
+  }
+}
+
+export function wakeAllBodies(world) {
+  for (const body of world.bodies) {
+    wakeBody(world, body);
+  }
+}
+
+function isAwake(body) {
+  return !body.isStatic && !body.isSleeping;
+}
+
+// Area of a shape from its dimensions; mass and buoyancy both start here
+function calculateArea(shape, w, h, points = null) {
   let area;
   switch (shape) {
     case 'circle':
@@ -32,19 +344,90 @@ function calculateMass(shape, w, h, density = DEFAULT_DENSITY) {
       // Area of triangle: (base * height) / 2
       area = (w * h) / 2;
       break;
+    case 'polygon':
+      area = points ? polygonMassProperties(points, w, h).area : w * h;
+      break;
+    case 'capsule': {
+      // Stadium: a box between two half discs along the longer side
+      const r = Math.min(w, h) / 2;
+      area = Math.PI * r * r + 2 * r * (Math.max(w, h) - 2 * r);
+      break;
+    }
     case 'rect':
     default:
       // Area of rectangle: width * height
       area = w * h;
       break;
   }
-  return area * density;
+  return area;
+}
+
+// Calculate mass based on shape and dimensions
+function calculateMass(shape, w, h, density = DEFAULT_DENSITY, points = null) {
+  return calculateArea(shape, w, h, points) * density;
+}
+
+// Moment of inertia around the body's center (the rotation pivot)
+function calculateInertia(shape, w, h, mass, points = null) {
+  switch (shape) {
+    case 'circle':
+      // Solid ellipse: m * (a² + b²) / 4 with semi-axes a = w/2, b = h/2
+      return (mass * (w * w + h * h)) / 16;
+    case 'triangle':
+      // Isosceles triangle about its centroid, shifted h/6 to the box center
+      return (mass * (w * w + 2 * h * h)) / 24;
+    case 'polygon': {
+      // Polygon about the box center; the outline does not have to be centered
+      const properties = points ? polygonMassProperties(points, w, h) : null;
+      if (properties && properties.area > 0) {
+        return (mass * properties.inertia) / properties.area;
+      }
+      return (mass * (w * w + h * h)) / 12;
+    }
+    case 'capsule': {
+      // Box part plus both half discs, each shifted to its end of the core
+      const r = Math.min(w, h) / 2;
+      const length = Math.max(w, h) - 2 * r;
+      const boxArea = 2 * r * length;
+      const discArea = Math.PI * r * r;
+      const boxMass = (mass * boxArea) / (boxArea + discArea);
+      const discMass = mass - boxMass;
+      const centroidOffset = (4 * r) / (3 * Math.PI);
+      return (boxMass * (length * length + 4 * r * r)) / 12 +
+        discMass * (r * r / 2 + (length * length) / 4 + length * centroidOffset);
+    }
+    case 'rect':
+    default:
+      return (mass * (w * w + h * h)) / 12;
+  }
+}
+
+// Recompute mass and inertia from the current shape, size and density
+function updateMassData(body) {
+  body.mass = calculateMass(body.shape, body.w, body.h, body.density, body.points);
+  body.invMass = body.mass > 0 ? 1 / body.mass : 0;
+  body.inertia = calculateInertia(body.shape, body.w, body.h, body.mass, body.points);
+  body.invInertia = body.inertia > 0 && !body.fixedRotation ? 1 / body.inertia : 0;
 }
 
 export function brick(world, x, y, w, h, opts = {}) {
-  const shape = opts.shape || 'rect';
-  const density = opts.density || DEFAULT_DENSITY;
-  const mass = opts.mass || calculateMass(shape, w, h, density);
+  // A polygon without a usable outline falls back to a plain box
+  const points = opts.shape === 'polygon' ? normalizePolygonPoints(opts.points) : null;
+  const shape = opts.shape === 'polygon' && !points ? 'rect' : (opts.shape || 'rect');
+  // Explicit friction/restitution/density override the material preset
+  const material = isMaterial(opts.material) ? opts.material : DEFAULT_MATERIAL;
+  const preset = getMaterial(material);
+  const density = opts.density || preset.density;
+  const mass = opts.mass || calculateMass(shape, w, h, density, points);
+  const inertia = opts.inertia || calculateInertia(shape, w, h, mass, points);
+  const fixedRotation = Boolean(opts.fixedRotation);
+  const isKinematic = Boolean(opts.isKinematic);
+  const gravityZone = normalizeGravity(opts.gravityZone);
+  const fluid = normalizeFluid(opts.fluid);
+  const wind = normalizeGravity(opts.wind);
+  const attractor = normalizeAttractor(opts.attractor);
+  const isZone = Boolean(gravityZone || fluid || wind || attractor);
+  const breakable = normalizeBreakable(opts.breakable);
 
   const body = {
     id: opts.id || `brick_${Date.now()}_${Math.random()}`,
@@ -52,69 +435,785 @@ export function brick(world, x, y, w, h, opts = {}) {
     vx: 0, vy: 0,
     rotation: opts.rotation || 0,
     angularVelocity: opts.angularVelocity || 0, // Rotation speed in radians per second
-    isStatic: true,
+    // Kinematic bricks are static for the solver; they move along their path
+    isStatic: isKinematic || (opts.isStatic !== undefined ? Boolean(opts.isStatic) : true),
+    isKinematic: isKinematic,
+    path: isKinematic ? createPath(x, y, opts.path) : null,
     onGround: false,
+    groundNormal: null, // Surface normal of what the body stands on, see setGround()
+    steepNormal: null, // Normal of a slope too steep to stand on that it touches
+    submerged: 0, // Fraction of the area inside fluid regions, see applyFluidForces()
+    isSleeping: false,
+    sleepTime: 0, // Seconds spent resting, see updateSleep()
+    sleepIsland: null, // Id shared by the bodies that fell asleep together
     shape: shape,
+    points: points, // Polygon outline normalized to the w/h box (polygon bricks only)
     color: opts.color || [0.8, 0.4, 0.2, 1.0],
     z: Number.isFinite(opts.z) ? Math.round(opts.z) : 0,
     mass: mass,
     invMass: mass > 0 ? 1 / mass : 0, // Inverse mass for calculations (0 for infinite mass)
-    restitution: opts.restitution !== undefined ? opts.restitution : DEFAULT_RESTITUTION,
+    inertia: inertia,
+    invInertia: inertia > 0 && !fixedRotation ? 1 / inertia : 0, // 0 locks rotation
+    fixedRotation: fixedRotation,
+    oneWay: Boolean(opts.oneWay), // Solid only from above (jump-through platform)
+    isSensor: Boolean(opts.isSensor) || isZone, // Detects overlaps without blocking anything
+    gravityZone: gravityZone, // Gravity applied to bodies whose center is inside (zones are sensors)
+    fluid: fluid, // { density, linearDrag, angularDrag } of a fluid region (fluids are sensors)
+    wind: wind, // Push (px/s² at density 1) on the bodies whose center is inside (sensor)
+    attractor: attractor, // Pull (px/s²) toward the center on the bodies inside, negative repels (sensor)
+    tag: typeof opts.tag === 'string' ? opts.tag : '', // Free label for gameplay code (e.g. 'checkpoint')
+    breakable: breakable, // { health, fragments, respawn } of a brick that can be destroyed
+    hitPoints: breakable ? breakable.health : 0, // Health left, see damageBrick()
+    pendingDamage: 0, // Damage taken since the last step, applied at the start of the next
+    fragment: null, // { age, lifetime } of a piece of a broken brick
+    authoredPose: null, // { x, y, rotation } a dynamic brick was placed at, see storeAuthoredPoses()
+    material: material,
+    friction: opts.friction !== undefined ? opts.friction : preset.friction,
+    restitution: opts.restitution !== undefined ? opts.restitution : preset.restitution,
     density: density
   };
-  world.bodies.push(body);
   world.bricks.push(body);
+  addBody(world, body);
   return body;
 }
 
 export function removeBrick(world, brick) {
-  world.bodies = world.bodies.filter(b => b !== brick);
+  removeBody(world, brick);
   world.bricks = world.bricks.filter(b => b !== brick);
 }
 
-export function step(world, dt) {
+// Refresh a brick's mass data and broadphase entry after editing its shape,
+// position, size or rotation
+export function updateBrick(world, brick) {
+  wakeBody(world, brick);
+  updateMassData(brick);
+  broadphaseUpdate(world.broadphase, brick, getBodyAABB(brick));
+}
+
+export function setBrickOneWay(brick, oneWay) {
+  brick.oneWay = Boolean(oneWay);
+  return brick;
+}
+
+// Gravity zones, fluids, wind and attractors have to stay sensors: turning
+// the sensor off removes them
+export function setBrickSensor(brick, isSensor) {
+  brick.isSensor = Boolean(isSensor);
+  if (!brick.isSensor) {
+    brick.gravityZone = null;
+    brick.fluid = null;
+    brick.wind = null;
+    brick.attractor = null;
+  }
+  return brick;
+}
+
+// Turn a brick into a gravity zone (a sensor that replaces the gravity of the
+// bodies inside it), or back into a plain brick with null
+export function setBrickGravityZone(brick, gravity) {
+  brick.gravityZone = normalizeGravity(gravity);
+  if (brick.gravityZone) {
+    brick.isSensor = true;
+  }
+  return brick;
+}
+
+// Turn a brick into a fluid region from a FLUIDS preset name or a
+// { density, linearDrag, angularDrag } object, or back into a plain brick with null
+export function setBrickFluid(brick, fluid) {
+  brick.fluid = normalizeFluid(fluid);
+  if (brick.fluid) {
+    brick.isSensor = true;
+  }
+  return brick;
+}
+
+// Turn a brick into a wind zone blowing { x, y } (px/s² on a body of density
+// 1, so heavier materials are pushed less), or back into a plain brick with null
+export function setBrickWind(brick, wind) {
+  brick.wind = normalizeGravity(wind);
+  if (brick.wind) {
+    brick.isSensor = true;
+  }
+  return brick;
+}
+
+// Turn a brick into an attractor pulling the bodies inside toward its center
+// with the given acceleration (negative pushes them out), or back with null
+export function setBrickAttractor(brick, strength) {
+  brick.attractor = normalizeAttractor(strength);
+  if (brick.attractor !== null) {
+    brick.isSensor = true;
+  }
+  return brick;
+}
+
+function normalizeAttractor(strength) {
+  return Number.isFinite(strength) && strength !== 0 ? strength : null;
+}
+
+// Make a brick breakable with { health, fragments, respawn } (true for the
+// defaults), or unbreakable again with null. Its health is restored
+export function setBrickBreakable(brick, breakable) {
+  brick.breakable = normalizeBreakable(breakable);
+  brick.hitPoints = brick.breakable ? brick.breakable.health : 0;
+  brick.pendingDamage = 0;
+  return brick;
+}
+
+// Switch a brick between static (immovable) and dynamic (simulated) behaviour
+export function setBrickStatic(brick, isStatic) {
+  if (brick.isKinematic) {
+    resetKinematicBody(brick);
+  }
+  brick.isStatic = Boolean(isStatic);
+  brick.isKinematic = false;
+  brick.vx = 0;
+  brick.vy = 0;
+  brick.angularVelocity = 0;
+  brick.onGround = false;
+  brick.groundNormal = null;
+  brick.steepNormal = null;
+  brick.isSleeping = false;
+  brick.sleepTime = 0;
+  return brick;
+}
+
+// Apply a surface material preset to a brick, replacing its friction,
+// restitution and density (and so its mass)
+export function setBrickMaterial(brick, name) {
+  const material = isMaterial(name) ? name : DEFAULT_MATERIAL;
+  const preset = getMaterial(material);
+  brick.material = material;
+  brick.friction = preset.friction;
+  brick.restitution = preset.restitution;
+  brick.density = preset.density;
+  updateMassData(brick);
+  return brick;
+}
+
+// Turn a brick into a kinematic platform following a waypoint path (a default
+// two-point path starting at its position if it has none yet)
+export function setBrickKinematic(world, brick, path = brick.path) {
+  brick.isStatic = true;
+  brick.isKinematic = true;
+  brick.path = createPath(brick.x, brick.y, path || {});
+  resetKinematicBody(brick);
+  brick.angularVelocity = 0;
+  broadphaseUpdate(world.broadphase, brick, getBodyAABB(brick));
+  return brick;
+}
+
+// Send every kinematic brick back to the start of its path (e.g. when the
+// editor takes over)
+export function resetKinematicBodies(world) {
   for (const body of world.bodies) {
+    if (!body.isKinematic) continue;
+    resetKinematicBody(body);
+    broadphaseUpdate(world.broadphase, body, getBodyAABB(body));
+  }
+}
+
+// Dynamic bricks are edited where they were placed, not where the simulation
+// left them: entering play stores that pose, resetDynamicBodies() puts it back
+// and serializeBricks() saves it meanwhile
+export function storeAuthoredPoses(world) {
+  for (const body of world.bricks) {
+    if (body.isStatic || body.fragment) continue;
+    body.authoredPose = { x: body.x, y: body.y, rotation: body.rotation };
+  }
+}
+
+// Put a dynamic brick back at its stored pose, at rest. Returns whether it
+// had one. Sleep is left alone unless `wake` is set: the editor marks
+// sleeping bricks, and play wakes everything anyway when it resumes
+export function resetDynamicBody(world, body, { wake = false } = {}) {
+  const pose = body.authoredPose;
+  if (!pose) return false;
+  if (wake) wakeBody(world, body);
+  body.x = pose.x;
+  body.y = pose.y;
+  body.rotation = pose.rotation;
+  body.vx = 0;
+  body.vy = 0;
+  body.angularVelocity = 0;
+  body.force = null;
+  body.torque = 0;
+  body.onGround = false;
+  body.groundBody = null;
+  broadphaseUpdate(world.broadphase, body, getBodyAABB(body));
+  return true;
+}
+
+// Every dynamic brick back where it was placed (e.g. when the editor takes
+// over). Edits move the bricks themselves, so the stored poses are dropped
+// until the next play session
+export function resetDynamicBodies(world) {
+  for (const body of world.bricks) {
+    if (resetDynamicBody(world, body)) body.authoredPose = null;
+  }
+}
+
+// Breakable bricks. Damage from anywhere (impacts, explosions, gameplay code)
+// adds up on the brick and is applied at the start of the next step, so the
+// 'brickDamage', 'brickBreak' and 'brickRespawn' events and the fragments
+// all come out of step() like every other change. Returns whether the brick
+// can take the damage
+export function damageBrick(world, brick, amount) {
+  if (!brick?.breakable || !(amount > 0) || !world.bricks.includes(brick)) return false;
+  brick.pendingDamage += amount;
+  return true;
+}
+
+function applyBrickDamage(world) {
+  for (const body of [...world.bricks]) {
+    if (!body.pendingDamage) continue;
+    const damage = body.pendingDamage;
+    body.pendingDamage = 0;
+    body.hitPoints = Math.max(0, body.hitPoints - damage);
+    world.events.push({ type: 'brickDamage', brick: body, damage, hitPoints: body.hitPoints });
+    if (body.hitPoints <= 0) {
+      breakBrick(world, body);
+    }
+  }
+}
+
+// The brick leaves the world with its joints, which come back with it, and
+// its fragments take its place
+function breakBrick(world, body) {
+  const joints = world.joints.filter(joint => joint.bodyA === body || joint.bodyB === body);
+  removeBrick(world, body);
+  const { respawn } = body.breakable;
+  world.brokenBricks.push({ brick: body, joints, respawnIn: respawn > 0 ? respawn : null });
+  const fragments = createFragments(world, body);
+  world.events.push({ type: 'brickBreak', brick: body, fragments });
+}
+
+// Fragments are dynamic bricks of the same color and material that fly away
+// from the broken brick's center and are removed after FRAGMENT_LIFETIME.
+// They are never saved with the level
+function createFragments(world, source) {
+  const centerX = source.x + source.w / 2;
+  const centerY = source.y + source.h / 2;
+  return fragmentLayout(source, source.breakable.fragments).map((cell, index) => {
+    const round = source.shape === 'circle';
+    const w = round ? Math.min(cell.w, cell.h) : cell.w;
+    const h = round ? w : cell.h;
+    const piece = brick(world, cell.x - w / 2, cell.y - h / 2, w, h, {
+      id: `${source.id}_fragment_${world.fragmentSerial++}`,
+      shape: round ? 'circle' : 'rect',
+      color: [...source.color],
+      rotation: source.rotation || 0,
+      z: source.z,
+      isStatic: false,
+      material: source.material,
+      friction: source.friction,
+      restitution: source.restitution,
+      density: source.density,
+    });
+    let dx = cell.x - centerX;
+    let dy = cell.y - centerY;
+    const length = Math.hypot(dx, dy);
+    if (length > 0) {
+      dx /= length;
+      dy /= length;
+    } else {
+      dx = 0;
+      dy = -1;
+    }
+    piece.vx = (source.vx || 0) + dx * FRAGMENT_SPEED;
+    piece.vy = (source.vy || 0) + dy * FRAGMENT_SPEED;
+    piece.angularVelocity = (source.angularVelocity || 0) + (index % 2 ? -FRAGMENT_SPIN : FRAGMENT_SPIN);
+    piece.fragment = { age: 0, lifetime: FRAGMENT_LIFETIME };
+    return piece;
+  });
+}
+
+// Fragments age and fade out; broken bricks with a respawn time come back
+// once nothing dynamic is in their way
+function updateBreakables(world, dt) {
+  for (const piece of world.bricks.filter(body => body.fragment)) {
+    piece.fragment.age += dt;
+    if (piece.fragment.age >= piece.fragment.lifetime) {
+      removeBrick(world, piece);
+    }
+  }
+  for (const entry of [...world.brokenBricks]) {
+    if (entry.respawnIn === null) continue;
+    entry.respawnIn = Math.max(0, entry.respawnIn - dt);
+    if (entry.respawnIn > 0) continue;
+    if (queryAABB(world, getBodyAABB(entry.brick), body => !body.isStatic).length > 0) continue;
+    restoreBrokenBrick(world, entry);
+    world.events.push({ type: 'brickRespawn', brick: entry.brick });
+  }
+}
+
+function restoreBrokenBrick(world, entry) {
+  const body = entry.brick;
+  world.brokenBricks = world.brokenBricks.filter(item => item !== entry);
+  body.hitPoints = body.breakable.health;
+  body.pendingDamage = 0;
+  body.vx = 0;
+  body.vy = 0;
+  body.angularVelocity = 0;
+  body.isSleeping = false;
+  body.sleepTime = 0;
+  body.sleepIsland = null;
+  body.groundBody = null;
+  world.bricks.push(body);
+  addBody(world, body);
+  // A joint to a brick that is still broken waits for that one instead
+  for (const joint of entry.joints) {
+    const other = joint.bodyA === body ? joint.bodyB : joint.bodyA;
+    const pending = other && world.brokenBricks.find(item => item.brick === other);
+    if (pending) {
+      if (!pending.joints.includes(joint)) pending.joints.push(joint);
+    } else if (!world.joints.includes(joint)) {
+      world.joints.push(joint);
+    }
+  }
+}
+
+// Back to the level as authored (e.g. when the editor takes over): fragments
+// are removed and every breakable brick is whole again
+export function resetBreakableBricks(world) {
+  for (const piece of world.bricks.filter(body => body.fragment)) {
+    removeBrick(world, piece);
+  }
+  while (world.brokenBricks.length > 0) {
+    restoreBrokenBrick(world, world.brokenBricks[0]);
+  }
+  for (const body of world.bricks) {
+    if (!body.breakable) continue;
+    body.hitPoints = body.breakable.health;
+    body.pendingDamage = 0;
+  }
+}
+
+// Hard hits damage breakable bricks: one point per BREAK_IMPACT_SPEED of
+// relative speed taken out by the impact, the same for both bodies
+function applyImpactDamage(world) {
+  for (const event of world.events) {
+    if (event.type !== 'contactBegin') continue;
+    const { bodyA, bodyB, impulse } = event;
+    if (!bodyA.breakable && !bodyB.breakable) continue;
+    const invMassSum = (bodyA.isStatic ? 0 : bodyA.invMass || 0) + (bodyB.isStatic ? 0 : bodyB.invMass || 0);
+    const damage = Math.floor((impulse * invMassSum) / BREAK_IMPACT_SPEED);
+    if (damage > 0) {
+      damageBrick(world, bodyA, damage);
+      damageBrick(world, bodyB, damage);
+    }
+  }
+}
+
+// External forces. Forces and torques add up on the body until the next step
+// integrates them, so gameplay code can push bodies at any time between steps.
+// Impulses change the velocity at once. A point (world space) off the body's
+// center also makes it spin. All of them wake the body
+export function applyForce(world, body, force, point = null) {
+  if (body.isStatic) return;
+  wakeBody(world, body);
+  body.force = {
+    x: (body.force?.x || 0) + force.x,
+    y: (body.force?.y || 0) + force.y,
+  };
+  if (point) {
+    applyTorque(world, body, crossFromCenter(body, point, force));
+  }
+}
+
+export function applyTorque(world, body, torque) {
+  if (body.isStatic || !torque) return;
+  wakeBody(world, body);
+  body.torque = (body.torque || 0) + torque;
+}
+
+export function applyImpulse(world, body, impulse, point = null) {
+  if (body.isStatic) return;
+  wakeBody(world, body);
+  body.vx += impulse.x * body.invMass;
+  body.vy += impulse.y * body.invMass;
+  if (point && body.invInertia) {
+    body.angularVelocity = (body.angularVelocity || 0) +
+      crossFromCenter(body, point, impulse) * body.invInertia;
+  }
+}
+
+function crossFromCenter(body, point, vector) {
+  const rx = point.x - (body.x + body.w / 2);
+  const ry = point.y - (body.y + body.h / 2);
+  return rx * vector.y - ry * vector.x;
+}
+
+// Radial blast: every dynamic body within radius of the center gets an
+// impulse away from it, falling off linearly with distance. strength is the
+// speed (px/s) given at the center to a body of density 1, so heavier
+// materials fly less far. The impulse hits the body's closest point, which
+// sets it spinning. Breakable bricks in range, static ones too, lose a point
+// of health per BREAK_IMPACT_SPEED of blast. Returns the dynamic bodies hit;
+// filter works as in queryAABB
+export function applyExplosion(world, center, radius, strength, filter) {
+  const bounds = {
+    minX: center.x - radius,
+    minY: center.y - radius,
+    maxX: center.x + radius,
+    maxY: center.y + radius,
+  };
+  const hit = [];
+  for (const body of queryAABB(world, bounds, filter)) {
+    if (body.isStatic && !body.breakable) continue;
+    const box = getBodyAABB(body);
+    const point = {
+      x: Math.max(box.minX, Math.min(center.x, box.maxX)),
+      y: Math.max(box.minY, Math.min(center.y, box.maxY)),
+    };
+    const distance = Math.hypot(point.x - center.x, point.y - center.y);
+    if (distance > radius) continue;
+    if (body.breakable) {
+      damageBrick(world, body, Math.floor((strength * (1 - distance / radius)) / BREAK_IMPACT_SPEED));
+    }
     if (body.isStatic) continue;
 
-    // Apply gravity
-    body.vy += GRAVITY * dt;
+    let dx = body.x + body.w / 2 - center.x;
+    let dy = body.y + body.h / 2 - center.y;
+    const length = Math.hypot(dx, dy);
+    if (length > 0) {
+      dx /= length;
+      dy /= length;
+    } else {
+      dx = 0;
+      dy = -1;
+    }
+    const magnitude = strength * (1 - distance / radius) * calculateArea(body.shape, body.w, body.h, body.points);
+    applyImpulse(world, body, { x: dx * magnitude, y: dy * magnitude }, point);
+    hit.push(body);
+  }
+  return hit;
+}
+
+// Push the bodies inside wind and attractor zones. Meant to run before every
+// fixed step (GameRuntime does); like gravity zones, a body is inside when its
+// center is
+export function applyZoneForces(world) {
+  for (const zone of world.bricks) {
+    if (!zone.wind && zone.attractor == null) continue;
+    const zoneCenter = { x: zone.x + zone.w / 2, y: zone.y + zone.h / 2 };
+    for (const body of broadphaseQuery(world.broadphase, getBodyAABB(zone))) {
+      if (body.isStatic || body.isSensor) continue;
+      const center = { x: body.x + body.w / 2, y: body.y + body.h / 2 };
+      if (!pointInBrick(zone, center.x, center.y)) continue;
 
-    // Apply air resistance when not on ground
-    if (!body.onGround) {
-      body.vx *= AIR_RESISTANCE;
-      body.vy *= AIR_RESISTANCE;
+      if (zone.wind) {
+        const area = calculateArea(body.shape, body.w, body.h, body.points);
+        applyForce(world, body, { x: zone.wind.x * area, y: zone.wind.y * area });
+      }
+      if (zone.attractor != null) {
+        const dx = zoneCenter.x - center.x;
+        const dy = zoneCenter.y - center.y;
+        const length = Math.hypot(dx, dy);
+        if (length > 0) {
+          const pull = zone.attractor * body.mass / length;
+          applyForce(world, body, { x: dx * pull, y: dy * pull });
+        }
+      }
     }
+  }
+}
 
-    // Apply angular damping
-    if (body.angularVelocity !== undefined) {
-      body.angularVelocity *= ANGULAR_DAMPING;
-      // Stop very small rotations
-      if (Math.abs(body.angularVelocity) < 0.01) {
-        body.angularVelocity = 0;
+export function step(world, dt) {
+  world.events = [];
+  applyBrickDamage(world);
+  wakeDisturbedBodies(world);
+
+  for (const body of world.bodies) {
+    if (!body.isKinematic) continue;
+    advanceKinematicBody(body, dt);
+    broadphaseUpdate(world.broadphase, body, getBodyAABB(body));
+    if (body.vx || body.vy) {
+      wakeBodiesIn(world, getBodyAABB(body));
+    }
+  }
+
+  // Only awake bodies are simulated; sleeping ones act as obstacles until a
+  // contact wakes them
+  const dynamicBodies = world.bodies.filter(isAwake);
+  const dynamicIndex = new Map(dynamicBodies.map((body, index) => [body, index]));
+
+  for (const body of dynamicBodies) {
+    carryRider(body);
+    const previous = { x: body.x, y: body.y, rotation: body.rotation || 0 };
+    integrateBody(world, body, dt);
+    if (needsContinuousCollision(body, previous)) {
+      sweepBody(world, body, previous);
+    }
+    broadphaseUpdate(world.broadphase, body, getBodyAABB(body));
+  }
+
+  // Gather candidate pairs from the broadphase: dynamic vs static, and each
+  // dynamic pair once. Bodies linked by a joint do not collide with each other.
+  // Candidates are visited in world.bodies order (the floor first), not in
+  // the grid's insertion order, so the solver order only depends on the
+  // world's state and a restored snapshot replays identically
+  const jointFilter = buildJointFilter(world.joints);
+  const bodyOrder = new Map(world.bodies.map((body, index) => [body, index]));
+  const byBodyOrder = (p, q) => (bodyOrder.get(p) ?? -1) - (bodyOrder.get(q) ?? -1);
+  const pairs = [];
+  for (let i = 0; i < dynamicBodies.length; i++) {
+    const body = dynamicBodies[i];
+    const nearby = [...broadphaseQuery(world.broadphase, getBodyAABB(body))].sort(byBodyOrder);
+
+    for (const other of nearby) {
+      if (other === body) continue;
+      if (body.isSensor && other.isSensor) continue;
+      if (jointFilter.get(body)?.has(other)) continue;
+      if (isAwake(other)) {
+        const otherIndex = dynamicIndex.get(other);
+        if (otherIndex === undefined || otherIndex < i) continue;
       }
+      pairs.push([body, other]);
     }
+  }
 
-    // Store old position for collision resolution
-    const oldX = body.x;
-    const oldY = body.y;
-    const oldRotation = body.rotation;
+  // Narrowphase: build a contact manifold for every overlapping pair. Sensors
+  // only record the overlap and never reach the solver
+  const contacts = [];
+  const passThrough = new Set();
+  const sensorOverlaps = new Map();
+  for (const [body, other] of pairs) {
+    const result = detectCollision(body, other);
+    if (!result.colliding) continue;
+    if (body.isSensor || other.isSensor) {
+      sensorOverlaps.set(contactKey(body, other), body.isSensor
+        ? { sensor: body, body: other }
+        : { sensor: other, body });
+      continue;
+    }
+    if (!acceptOneWayContact(world, body, other, result)) {
+      passThrough.add(contactKey(body, other));
+      continue;
+    }
+    wakeBody(world, other);
+    contacts.push(createContact(body, other, result));
+  }
+  world.passThrough = passThrough;
+  // Overlaps between bodies that are not simulated (sleeping or static) were
+  // not tested this step and still hold
+  for (const [key, overlap] of world.sensorOverlaps) {
+    if (!sensorOverlaps.has(key) && !isAwake(overlap.sensor) && !isAwake(overlap.body)) {
+      sensorOverlaps.set(key, overlap);
+    }
+  }
+  emitSensorEvents(world, sensorOverlaps);
 
-    // Integrate velocity
-    body.x += body.vx * dt;
-    body.y += body.vy * dt;
+  // Warm start: reapply the impulses solved for the same contact last step so
+  // stacks converge over several steps instead of jittering. Contacts inside
+  // sleeping islands are kept as they were for when the island wakes
+  const previousContacts = world.contacts;
+  const nextContacts = new Map();
+  for (const contact of contacts) {
+    const key = contactKey(contact.bodyA, contact.bodyB);
+    warmStartContact(contact, previousContacts.get(key));
+    nextContacts.set(key, contact);
+  }
+  for (const [key, contact] of previousContacts) {
+    if (!nextContacts.has(key) && !isAwake(contact.bodyA) && !isAwake(contact.bodyB)) {
+      nextContacts.set(key, contact);
+    }
+  }
+  world.contacts = nextContacts;
+  const joints = world.joints.filter(joint => isAwake(joint.bodyA) || (joint.bodyB && isAwake(joint.bodyB)));
+  prepareJoints(joints, dt);
 
-    // Integrate angular velocity
-    if (body.angularVelocity !== undefined) {
-      body.rotation += body.angularVelocity * dt;
-      // Normalize rotation to [-PI, PI]
-      while (body.rotation > Math.PI) body.rotation -= 2 * Math.PI;
-      while (body.rotation < -Math.PI) body.rotation += 2 * Math.PI;
+  // Velocity solver: sequential impulses accumulated per contact point, with
+  // the joints solved first in every pass
+  for (let iteration = 0; iteration < VELOCITY_ITERATIONS; iteration++) {
+    solveJoints(joints);
+    for (const contact of contacts) {
+      resolveCollision(contact);
+    }
+  }
+  emitContactEvents(world, previousContacts);
+  applyImpactDamage(world);
+
+  // Position solver: push overlapping pairs apart and pull joint anchors back
+  // together
+  for (let iteration = 0; iteration < MAX_COLLISION_ITERATIONS; iteration++) {
+    let hadCollision = !solveJointPositions(joints);
+
+    for (const contact of contacts) {
+      const result = iteration === 0
+        ? contact.result
+        : detectCollision(contact.bodyA, contact.bodyB);
+      if (result.colliding && result.overlap > POSITION_SLOP) {
+        separateBodies(contact.bodyA, contact.bodyB, result);
+        hadCollision = true;
+      }
     }
 
-    // Reset ground flag
-    body.onGround = false;
+    if (!hadCollision) break;
+  }
 
-    // World bounds with restitution
+  // Bodies woken by a contact this step were not in dynamicBodies
+  const awakeBodies = world.bodies.filter(isAwake);
+  for (const body of awakeBodies) {
+    // Apply velocity threshold to stop jittering
+    if (Math.abs(body.vx) < MIN_VELOCITY) body.vx = 0;
+    if (Math.abs(body.vy) < MIN_VELOCITY && body.onGround) body.vy = 0;
+    broadphaseUpdate(world.broadphase, body, getBodyAABB(body));
+    // Below a kill plane: the game decides what happens (respawn, remove...)
+    if (world.settings.bounds.y === 'kill' && body.y > world.height) {
+      world.events.push({ type: 'outOfBounds', body });
+    }
+  }
+  updateSleep(awakeBodies, contacts, joints, dt);
+  updateBreakables(world, dt);
+}
+
+// Wake sleeping bodies that were disturbed from outside the step: given a
+// velocity by gameplay code, or linked by a joint to an awake body
+function wakeDisturbedBodies(world) {
+  for (const body of world.bodies) {
+    if (body.isSleeping && (body.vx || body.vy || body.angularVelocity)) {
+      wakeBody(world, body);
+    }
+  }
+  for (const joint of world.joints) {
+    if (!joint.bodyB) continue;
+    if (isAwake(joint.bodyA)) wakeBody(world, joint.bodyB);
+    if (isAwake(joint.bodyB)) wakeBody(world, joint.bodyA);
+  }
+}
+
+function wakeBodiesIn(world, aabb) {
+  for (const body of broadphaseQuery(world.broadphase, aabb)) {
+    if (!body.isSleeping) continue;
+    const bounds = getBodyAABB(body);
+    if (bounds.minX <= aabb.maxX && bounds.maxX >= aabb.minX &&
+        bounds.minY <= aabb.maxY && bounds.maxY >= aabb.minY) {
+      wakeBody(world, body);
+    }
+  }
+}
+
+// Bodies touching each other or linked by a joint form an island. Static and
+// kinematic bodies do not link islands: two crates on the same floor rest
+// independently
+function buildIslands(bodies, contacts, joints) {
+  const parent = new Map(bodies.map(body => [body, body]));
+  const find = (body) => {
+    while (parent.get(body) !== body) {
+      parent.set(body, parent.get(parent.get(body)));
+      body = parent.get(body);
+    }
+    return body;
+  };
+  const union = (a, b) => {
+    if (!parent.has(a) || !parent.has(b)) return;
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  for (const contact of contacts) union(contact.bodyA, contact.bodyB);
+  for (const joint of joints) {
+    if (joint.bodyB) union(joint.bodyA, joint.bodyB);
+  }
+
+  const islands = new Map();
+  for (const body of bodies) {
+    const root = find(body);
+    if (!islands.has(root)) islands.set(root, []);
+    islands.get(root).push(body);
+  }
+  return [...islands.values()];
+}
+
+// An island falls asleep once every body in it has rested for TIME_TO_SLEEP.
+// Bodies with allowSleep = false (characters) keep their whole island awake
+function updateSleep(bodies, contacts, joints, dt) {
+  for (const body of bodies) {
+    const resting = body.allowSleep !== false &&
+      body.vx * body.vx + body.vy * body.vy <= SLEEP_LINEAR_VELOCITY * SLEEP_LINEAR_VELOCITY &&
+      Math.abs(body.angularVelocity || 0) <= SLEEP_ANGULAR_VELOCITY;
+    body.sleepTime = resting ? (body.sleepTime || 0) + dt : 0;
+  }
+
+  for (const island of buildIslands(bodies, contacts, joints)) {
+    if (island.some(body => body.sleepTime < TIME_TO_SLEEP)) continue;
+    for (const body of island) {
+      body.isSleeping = true;
+      body.sleepIsland = island[0].id;
+      body.vx = 0;
+      body.vy = 0;
+      body.angularVelocity = 0;
+    }
+  }
+}
+
+function integrateBody(world, body, dt) {
+  // Apply gravity, local to the zone the body's center is in. localGravity
+  // also tells contacts (and the player) which way is down for this body
+  const { airResistance, angularDamping } = world.settings;
+  const gravity = getGravityAt(world, { x: body.x + body.w / 2, y: body.y + body.h / 2 });
+  body.localGravity = { x: gravity.x, y: gravity.y };
+  body.vx += gravity.x * dt;
+  body.vy += gravity.y * dt;
+
+  // Apply air resistance when not on ground
+  if (!body.onGround) {
+    body.vx *= airResistance;
+    body.vy *= airResistance;
+  }
+
+  // Apply angular damping
+  if (body.angularVelocity !== undefined) {
+    body.angularVelocity *= angularDamping;
+    // Stop very small rotations
+    if (Math.abs(body.angularVelocity) < 0.01) {
+      body.angularVelocity = 0;
+    }
+  }
+
+  // After the small-rotation cutoff, so a gentle righting torque can build up
+  applyFluidForces(world, body, gravity, dt);
+
+  // External forces and torque gathered since the last step
+  if (body.force) {
+    body.vx += body.force.x * body.invMass * dt;
+    body.vy += body.force.y * body.invMass * dt;
+    body.force = null;
+  }
+  if (body.torque) {
+    body.angularVelocity = (body.angularVelocity || 0) + body.torque * (body.invInertia || 0) * dt;
+    body.torque = 0;
+  }
+
+  // Integrate velocity
+  body.x += body.vx * dt;
+  body.y += body.vy * dt;
+
+  // Integrate angular velocity
+  if (body.angularVelocity !== undefined) {
+    body.rotation += body.angularVelocity * dt;
+    // Normalize rotation to [-PI, PI]
+    while (body.rotation > Math.PI) body.rotation -= 2 * Math.PI;
+    while (body.rotation < -Math.PI) body.rotation += 2 * Math.PI;
+  }
+
+  // Reset ground flag
+  body.onGround = false;
+  body.groundBody = null;
+  body.groundNormal = null;
+  body.steepNormal = null;
+
+  applyBounds(world, body);
+}
+
+// Level edges (see BOUND_MODES). Walls bounce with the body's restitution;
+// wrap-around moves a body whose center crossed an edge to the opposite one
+function applyBounds(world, body) {
+  const { bounds } = world.settings;
+  if (bounds.x === 'wall') {
     if (body.x < 0) {
       body.x = 0;
       body.vx = -body.vx * body.restitution;
@@ -125,71 +1224,377 @@ export function step(world, dt) {
       body.vx = -body.vx * body.restitution;
       if (Math.abs(body.vx) < MIN_VELOCITY) body.vx = 0;
     }
+  } else if (bounds.x === 'wrap') {
+    const centerX = body.x + body.w / 2;
+    if (centerX < 0) body.x += world.width;
+    else if (centerX > world.width) body.x -= world.width;
+  }
 
-    // Floor collision with restitution
-    const floorY = world.height - FLOOR_HEIGHT;
-    if (body.y + body.h > floorY) {
-      body.y = floorY - body.h;
-      const bounceVelocity = -body.vy * body.restitution;
-      // Only bounce if velocity is significant
-      if (Math.abs(bounceVelocity) > MIN_VELOCITY * 2) {
-        body.vy = bounceVelocity;
-      } else {
-        body.vy = 0;
-        body.onGround = true;
-        body.vx *= FRICTION;
-      }
+  if (bounds.y === 'ceiling' && body.y < 0) {
+    body.y = 0;
+    body.vy = -body.vy * body.restitution;
+    if (Math.abs(body.vy) < MIN_VELOCITY) body.vy = 0;
+  } else if (bounds.y === 'wrap') {
+    const centerY = body.y + body.h / 2;
+    if (centerY < 0) body.y += world.height;
+    else if (centerY > world.height) body.y -= world.height;
+  }
+}
+
+// Buoyancy and drag from the fluid regions a body overlaps. Buoyancy is the
+// weight of the displaced fluid: the fluid's density times the submerged area
+// (a fraction of the same area calculateMass uses) against the local gravity.
+// It pushes at the centroid of the submerged part, so a floating body turns
+// until it rests flat. Drag grows with the submerged fraction
+function applyFluidForces(world, body, gravity, dt) {
+  body.submerged = 0;
+  const bounds = getBodyAABB(body);
+  let outline = null;
+  let outlineArea = 0;
+
+  for (const region of broadphaseQuery(world.broadphase, bounds)) {
+    if (!region.fluid || region === body) continue;
+    const regionBounds = getBodyAABB(region);
+    if (regionBounds.minX > bounds.maxX || regionBounds.maxX < bounds.minX ||
+        regionBounds.minY > bounds.maxY || regionBounds.maxY < bounds.minY) continue;
+
+    if (!outline) {
+      outline = getOutline(body);
+      outlineArea = Math.abs(polygonCentroid(outline).area);
+      if (outlineArea <= 0) return;
     }
 
-    // Collision with static bodies (bricks) - increased iterations for better accuracy
-    let collisionIterations = 0;
-    const maxIterations = 5; // Increased from 3 to 5 for better precision
+    // Submerged part: the outline clipped by each convex piece of the region
+    let area = 0;
+    let momentX = 0;
+    let momentY = 0;
+    for (const part of getConvexParts(region)) {
+      const clipped = clipPolygon(outline, part);
+      if (clipped.length < 3) continue;
+      const centroid = polygonCentroid(clipped);
+      const partArea = Math.abs(centroid.area);
+      area += partArea;
+      momentX += centroid.x * partArea;
+      momentY += centroid.y * partArea;
+    }
+    if (area <= 0) continue;
 
-    while (collisionIterations < maxIterations) {
-      let hadCollision = false;
+    const fraction = Math.min(1, area / outlineArea);
+    const { density, linearDrag, angularDrag } = region.fluid;
+    const displaced = density * calculateArea(body.shape, body.w, body.h, body.points) * fraction;
+    const forceX = -gravity.x * displaced;
+    const forceY = -gravity.y * displaced;
+    body.vx += forceX * body.invMass * dt;
+    body.vy += forceY * body.invMass * dt;
+    if (body.angularVelocity !== undefined && body.invInertia) {
+      const rx = momentX / area - (body.x + body.w / 2);
+      const ry = momentY / area - (body.y + body.h / 2);
+      body.angularVelocity += (rx * forceY - ry * forceX) * body.invInertia * dt;
+    }
 
-      for (const other of world.bodies) {
-        if (!other.isStatic || other === body) continue;
+    const linearFactor = Math.max(0, 1 - linearDrag * fraction * dt);
+    body.vx *= linearFactor;
+    body.vy *= linearFactor;
+    if (body.angularVelocity !== undefined) {
+      body.angularVelocity *= Math.max(0, 1 - angularDrag * fraction * dt);
+    }
+    body.submerged += fraction;
+  }
+  body.submerged = Math.min(1, body.submerged);
+}
 
-        const result = detectCollision(body, other);
-        if (result.colliding) {
-          resolveCollision(body, other, result);
-          hadCollision = true;
-        }
+// World-space polygons the narrowphase tests for a body: the SAT vertices
+// (one polygon per convex part) or, for capsules, their rounded outline.
+// Meant for debug drawing
+export function getColliderOutlines(body) {
+  return body.shape === 'capsule' ? [getOutline(body)] : getConvexParts(body);
+}
+
+// Broadphase grid cells holding at least one body, as
+// { minX, minY, maxX, maxY, count }
+export function getBroadphaseCells(world) {
+  return broadphaseCells(world.broadphase);
+}
+
+// Outline of a body as a single polygon: its vertices, or a tessellated
+// stadium for capsules (which collide through their core segment instead)
+function getOutline(body) {
+  if (body.shape !== 'capsule') return getVertices(body);
+  const { a, b, radius } = getCapsuleCore(body);
+  const axisAngle = body.w >= body.h ? (body.rotation || 0) : (body.rotation || 0) + Math.PI / 2;
+  const segments = ELLIPSE_SEGMENTS / 2;
+  const vertices = [];
+  for (const [center, start] of [[b, axisAngle - Math.PI / 2], [a, axisAngle + Math.PI / 2]]) {
+    for (let i = 0; i <= segments; i++) {
+      const angle = start + (i / segments) * Math.PI;
+      vertices.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+    }
+  }
+  return vertices;
+}
+
+// Signed area and centroid of a simple polygon
+function polygonCentroid(vertices) {
+  let area2 = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const p = vertices[i];
+    const q = vertices[(i + 1) % vertices.length];
+    const cross = p.x * q.y - q.x * p.y;
+    area2 += cross;
+    x += (p.x + q.x) * cross;
+    y += (p.y + q.y) * cross;
+  }
+  if (area2 === 0) return { area: 0, x: 0, y: 0 };
+  return { area: area2 / 2, x: x / (3 * area2), y: y / (3 * area2) };
+}
+
+// Sutherland-Hodgman: the part of a polygon inside a convex polygon
+function clipPolygon(subject, convex) {
+  const orientation = Math.sign(polygonCentroid(convex).area);
+  let output = subject;
+  for (let i = 0; i < convex.length && output.length > 0; i++) {
+    const a = convex[i];
+    const b = convex[(i + 1) % convex.length];
+    const side = p => ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) * orientation;
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      const currentSide = side(current);
+      const previousSide = side(previous);
+      if (currentSide >= 0) {
+        if (previousSide < 0) output.push(intersectAt(previous, current, previousSide, currentSide));
+        output.push(current);
+      } else if (previousSide >= 0) {
+        output.push(intersectAt(previous, current, previousSide, currentSide));
       }
+    }
+  }
+  return output;
+}
+
+function intersectAt(p, q, sideP, sideQ) {
+  const t = sideP / (sideP - sideQ);
+  return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+}
+
+// Bodies standing on a kinematic platform follow its motion along their
+// gravity, so they stay grounded when it moves away instead of falling after
+// it every step. Motion along the surface is carried by friction (the player
+// adds it to its walk speed)
+function carryRider(body) {
+  const platform = body.groundBody;
+  if (!platform?.isKinematic) return;
+  const down = getGravityDirection(body.localGravity);
+  const bodyDown = body.vx * down.x + body.vy * down.y;
+  const platformDown = platform.vx * down.x + platform.vy * down.y;
+  if (bodyDown - platformDown < -RIDER_JUMP_TOLERANCE) return;
+  body.vx += (platformDown - bodyDown) * down.x;
+  body.vy += (platformDown - bodyDown) * down.y;
+}
+
+function needsContinuousCollision(body, previous) {
+  const dx = body.x - previous.x;
+  const dy = body.y - previous.y;
+  const limit = Math.min(body.w, body.h) * CCD_MOTION_RATIO;
+  return dx * dx + dy * dy > limit * limit;
+}
+
+function isLandingOn(body, platform) {
+  if (body.ignoreOneWay) return false;
+  const up = getOneWayUp(platform);
+  return body.vx * up.x + body.vy * up.y < 0;
+}
+
+function setPose(body, pose) {
+  body.x = pose.x;
+  body.y = pose.y;
+  body.rotation = pose.rotation;
+}
 
-      if (!hadCollision) break;
-      collisionIterations++;
+function interpolatePose(from, to, t) {
+  let deltaRotation = to.rotation - from.rotation;
+  while (deltaRotation > Math.PI) deltaRotation -= 2 * Math.PI;
+  while (deltaRotation < -Math.PI) deltaRotation += 2 * Math.PI;
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    rotation: from.rotation + deltaRotation * t,
+  };
+}
+
+// Continuous collision for fast bodies: sample the step's motion against static
+// geometry in increments smaller than the body itself, so a thin brick always
+// overlaps at least one sample. The body is stopped at the first touching pose
+// and the regular contact solver takes it from there
+function sweepBody(world, body, previous) {
+  const end = { x: body.x, y: body.y, rotation: body.rotation };
+  const endAABB = getBodyAABB(body);
+  setPose(body, previous);
+  const startAABB = getBodyAABB(body);
+  const swept = {
+    minX: Math.min(startAABB.minX, endAABB.minX),
+    minY: Math.min(startAABB.minY, endAABB.minY),
+    maxX: Math.max(startAABB.maxX, endAABB.maxX),
+    maxY: Math.max(startAABB.maxY, endAABB.maxY),
+  };
+
+  // Bodies already touched at the start of the step are left to the solver,
+  // otherwise a body sliding fast along the floor would be stopped by it
+  const obstacles = [];
+  for (const other of broadphaseQuery(world.broadphase, swept)) {
+    if (other === body || isAwake(other) || other.isSensor) continue;
+    if (other.oneWay && !isLandingOn(body, other)) continue;
+    if (!detectCollision(body, other).colliding) {
+      obstacles.push(other);
     }
+  }
 
-    // Apply velocity threshold to stop jittering
-    if (Math.abs(body.vx) < MIN_VELOCITY) body.vx = 0;
-    if (Math.abs(body.vy) < MIN_VELOCITY && body.onGround) body.vy = 0;
+  if (obstacles.length === 0) {
+    setPose(body, end);
+    return;
+  }
+
+  const touchesObstacle = () => obstacles.some(other => detectCollision(body, other).colliding);
+  const distance = Math.hypot(end.x - previous.x, end.y - previous.y);
+  const samples = Math.ceil(distance / (Math.min(body.w, body.h) * CCD_MOTION_RATIO));
+
+  let free = 0;
+  let hit = -1;
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    setPose(body, interpolatePose(previous, end, t));
+    if (touchesObstacle()) {
+      hit = t;
+      break;
+    }
+    free = t;
   }
+
+  if (hit < 0) {
+    setPose(body, end);
+    return;
+  }
+
+  for (let i = 0; i < CCD_BISECTIONS; i++) {
+    const t = (free + hit) / 2;
+    setPose(body, interpolatePose(previous, end, t));
+    if (touchesObstacle()) {
+      hit = t;
+    } else {
+      free = t;
+    }
+  }
+
+  // Stop slightly inside the obstacle so the narrowphase reports the contact
+  setPose(body, interpolatePose(previous, end, hit));
+}
+
+// Compare this step's sensor overlaps with the last step's: new pairs enter,
+// pairs still overlapping stay and pairs that are gone exit
+function emitSensorEvents(world, sensorOverlaps) {
+  for (const [key, overlap] of sensorOverlaps) {
+    const type = world.sensorOverlaps.has(key) ? 'sensorStay' : 'sensorEnter';
+    world.events.push({ type, sensor: overlap.sensor, body: overlap.body });
+  }
+  for (const [key, overlap] of world.sensorOverlaps) {
+    if (!sensorOverlaps.has(key)) {
+      world.events.push({ type: 'sensorExit', sensor: overlap.sensor, body: overlap.body });
+    }
+  }
+  world.sensorOverlaps = sensorOverlaps;
+}
+
+// Contact events: 'contactBegin' on the first step a pair touches,
+// 'contactPersist' while it keeps touching and 'contactEnd' on the step it
+// separates. The normal points from bodyB to bodyA and the impulse is the
+// total normal impulse the solver applied this step (0 for contactEnd); divide
+// it by a body's mass for the velocity change, e.g. for fall damage
+function emitContactEvents(world, previousContacts) {
+  for (const [key, contact] of world.contacts) {
+    // Contacts kept inside sleeping islands were not solved this step
+    if (!isAwake(contact.bodyA) && !isAwake(contact.bodyB)) continue;
+    const type = previousContacts.has(key) ? 'contactPersist' : 'contactBegin';
+    const impulse = contact.points.reduce((sum, point) => sum + point.normalImpulse, 0);
+    world.events.push(createContactEvent(type, contact, impulse));
+  }
+  for (const [key, contact] of previousContacts) {
+    if (!world.contacts.has(key)) {
+      world.events.push(createContactEvent('contactEnd', contact, 0));
+    }
+  }
+}
+
+// The event's point is the middle of the manifold's contact points
+function createContactEvent(type, contact, impulse) {
+  const { bodyA, bodyB, normal, points } = contact;
+  const count = points.length;
+  const point = count > 0
+    ? {
+      x: points.reduce((sum, p) => sum + p.x, 0) / count,
+      y: points.reduce((sum, p) => sum + p.y, 0) / count,
+    }
+    : { x: bodyA.x + bodyA.w / 2, y: bodyA.y + bodyA.h / 2 };
+  return {
+    type,
+    bodyA,
+    bodyB,
+    normal: { x: normal.x, y: normal.y },
+    point,
+    impulse,
+  };
+}
+
+// The solid side of a one-way brick: its local up, rotated with the brick
+function getOneWayUp(body) {
+  const rotation = body.rotation || 0;
+  return { x: Math.sin(rotation), y: -Math.cos(rotation) };
+}
+
+// One-way bricks only collide with bodies landing on their up side. A pair that
+// starts overlapping any other way (jumping up from below, walking in from the
+// side, dropping through on purpose) passes through until it separates again
+function acceptOneWayContact(world, body, other, result) {
+  const platform = other.oneWay ? other : body.oneWay ? body : null;
+  if (!platform) return true;
+
+  const rider = platform === other ? body : other;
+  const key = contactKey(body, other);
+  if (world.passThrough.has(key) || rider.ignoreOneWay) return false;
+  if (world.contacts.has(key)) return true;
+
+  // The collision normal points from other to body; flip it to point at the rider
+  const sign = platform === other ? 1 : -1;
+  const up = getOneWayUp(platform);
+  const alignment = (result.normal.x * up.x + result.normal.y * up.y) * sign;
+  const riseSpeed = ((rider.vx - (platform.vx || 0)) * up.x) + ((rider.vy - (platform.vy || 0)) * up.y);
+  return alignment > ONE_WAY_NORMAL_THRESHOLD && riseSpeed <= ONE_WAY_SPEED_TOLERANCE;
+}
+
+// Rotate a point given in normalized space (0-1) around the center (0.5, 0.5),
+// then transform it to world space - matching the shader exactly
+function toWorldPoint(body, cos, sin, cornerX, cornerY) {
+  const offsetX = cornerX - 0.5;
+  const offsetY = cornerY - 0.5;
+  const rotatedX = offsetX * cos - offsetY * sin;
+  const rotatedY = offsetX * sin + offsetY * cos;
+  const localX = rotatedX + 0.5;
+  const localY = rotatedY + 0.5;
+  
+  return {
+    x: body.x + localX * body.w,
+    y: body.y + localY * body.h
+  };
 }
 
 // Get vertices for any shape - MUST MATCH SHADER ROTATION EXACTLY
 function getVertices(body) {
   const cos = Math.cos(body.rotation);
   const sin = Math.sin(body.rotation);
-  
-  // This function rotates a corner in normalized space (0-1)
-  // then transforms to world space - matching the shader exactly
-  const transformCorner = (cornerX, cornerY) => {
-    // Rotate in normalized space around center (0.5, 0.5)
-    const offsetX = cornerX - 0.5;
-    const offsetY = cornerY - 0.5;
-    const rotatedX = offsetX * cos - offsetY * sin;
-    const rotatedY = offsetX * sin + offsetY * cos;
-    const localX = rotatedX + 0.5;
-    const localY = rotatedY + 0.5;
-    
-    // Transform to world space
-    return {
-      x: body.x + localX * body.w,
-      y: body.y + localY * body.h
-    };
-  };
+  const transformCorner = (cornerX, cornerY) => toWorldPoint(body, cos, sin, cornerX, cornerY);
   
   if (body.shape === 'rect') {
     return [
@@ -205,32 +1610,358 @@ function getVertices(body) {
       transformCorner(1, 1),    // Bottom right
       transformCorner(0, 1)     // Bottom left
     ];
+  } else if (body.shape === 'polygon' && body.points) {
+    return body.points.map(point => transformCorner(point.x, point.y));
+  } else if (body.shape === 'circle') {
+    // Stretched circles collide as the ellipse the renderer draws. The ellipse
+    // is scaled before it is rotated, like the rendered disc
+    const cx = body.x + body.w / 2;
+    const cy = body.y + body.h / 2;
+    const vertices = [];
+    for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+      const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+      const localX = Math.cos(angle) * body.w / 2;
+      const localY = Math.sin(angle) * body.h / 2;
+      vertices.push({
+        x: cx + localX * cos - localY * sin,
+        y: cy + localX * sin + localY * cos
+      });
+    }
+    return vertices;
+  }
+  return [];
+}
+
+// Circles with a (nearly) square box; other circles are ellipses
+function isRoundCircle(body) {
+  return body.shape === 'circle' && Math.abs(body.w - body.h) <= ROUND_TOLERANCE;
+}
+
+// Core segment and radius of a capsule: the segment runs along the longer
+// side of the box, rotated around its center
+function getCapsuleCore(body) {
+  const radius = Math.min(body.w, body.h) / 2;
+  const halfLength = (Math.max(body.w, body.h) - 2 * radius) / 2;
+  const rotation = body.rotation || 0;
+  const axisX = body.w >= body.h ? Math.cos(rotation) : -Math.sin(rotation);
+  const axisY = body.w >= body.h ? Math.sin(rotation) : Math.cos(rotation);
+  const cx = body.x + body.w / 2;
+  const cy = body.y + body.h / 2;
+  return {
+    a: { x: cx - axisX * halfLength, y: cy - axisY * halfLength },
+    b: { x: cx + axisX * halfLength, y: cy + axisY * halfLength },
+    radius,
+  };
+}
+
+function closestPointOnSegment(point, a, b) {
+  const abX = b.x - a.x;
+  const abY = b.y - a.y;
+  const lengthSq = abX * abX + abY * abY;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - a.x) * abX + (point.y - a.y) * abY) / lengthSq))
+    : 0;
+  return { x: a.x + abX * t, y: a.y + abY * t };
+}
+
+// Closest points between segments p1-q1 and p2-q2
+function closestPointsBetweenSegments(p1, q1, p2, q2) {
+  const d1x = q1.x - p1.x;
+  const d1y = q1.y - p1.y;
+  const d2x = q2.x - p2.x;
+  const d2y = q2.y - p2.y;
+  const rx = p1.x - p2.x;
+  const ry = p1.y - p2.y;
+  const a = d1x * d1x + d1y * d1y;
+  const e = d2x * d2x + d2y * d2y;
+  const f = d2x * rx + d2y * ry;
+  const clamp = value => Math.max(0, Math.min(1, value));
+
+  let s = 0;
+  let t = 0;
+  if (a <= 1e-9 && e <= 1e-9) {
+    // Both segments are points
+  } else if (a <= 1e-9) {
+    t = clamp(f / e);
+  } else {
+    const c = d1x * rx + d1y * ry;
+    if (e <= 1e-9) {
+      s = clamp(-c / a);
+    } else {
+      const b = d1x * d2x + d1y * d2y;
+      const denominator = a * e - b * b;
+      s = denominator > 1e-9 ? clamp((b * f - c * e) / denominator) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp((b - c) / a);
+      }
+    }
+  }
+
+  return {
+    a: { x: p1.x + d1x * s, y: p1.y + d1y * s },
+    b: { x: p2.x + d2x * t, y: p2.y + d2y * t },
+  };
+}
+
+// Convex pieces of a body in world space for SAT. Only concave polygons have
+// more than one
+function getConvexParts(body) {
+  if (body.shape !== 'polygon' || !body.points) {
+    return [getVertices(body)];
+  }
+  const cos = Math.cos(body.rotation);
+  const sin = Math.sin(body.rotation);
+  return decomposePolygon(body.points)
+    .map(part => part.map(point => toWorldPoint(body, cos, sin, point.x, point.y)));
+}
+
+// Combine the results of a compound body's parts into one manifold: the
+// deepest part pair gives the normal, and every pair pushing roughly the same
+// way contributes contact points (at most the two outermost, as for a face)
+function mergePartResults(results) {
+  const colliding = results.filter(result => result.colliding);
+  if (colliding.length === 0) return { colliding: false };
+  if (colliding.length === 1) return colliding[0];
+
+  const deepest = colliding.reduce((best, result) => (result.overlap > best.overlap ? result : best));
+  const { normal } = deepest;
+  let contacts = colliding
+    .filter(result => result.normal.x * normal.x + result.normal.y * normal.y > PART_NORMAL_AGREEMENT)
+    .flatMap(result => result.contacts);
+
+  if (contacts.length > 2) {
+    const along = point => point.y * normal.x - point.x * normal.y;
+    let min = contacts[0];
+    let max = contacts[0];
+    for (const point of contacts) {
+      if (along(point) < along(min)) min = point;
+      if (along(point) > along(max)) max = point;
+    }
+    contacts = min === max ? [min] : [min, max];
+  }
+
+  return {
+    colliding: true,
+    overlap: deepest.overlap,
+    normal,
+    contacts,
+  };
+}
+
+// SAT (Separating Axis Theorem) collision detection
+function detectCollision(a, b) {
+  // Capsules against anything
+  if (a.shape === 'capsule') {
+    return detectCapsule(a, b);
+  }
+  if (b.shape === 'capsule') {
+    return flipResult(detectCapsule(b, a));
+  }
+  
+  // Circle-Circle
+  const roundA = isRoundCircle(a);
+  const roundB = isRoundCircle(b);
+  if (roundA && roundB) {
+    return detectCircleCircle(a, b);
+  }
+  
+  // Circle-Polygon
+  if (roundA) {
+    return detectCirclePolygon(a, b);
+  }
+  if (roundB) {
+    return flipResult(detectCirclePolygon(b, a));
+  }
+  
+  // Polygon-Polygon (includes rect, triangle, polygon and ellipse)
+  return detectPolygonPolygon(a, b);
+}
+
+function flipResult(result) {
+  if (result.colliding) {
+    // Flip normal to point toward A
+    result.normal = { x: -result.normal.x, y: -result.normal.y };
+  }
+  return result;
+}
+
+// Capsule (A) against any shape (B); the normal points from B to A
+function detectCapsule(capsule, other) {
+  const core = getCapsuleCore(capsule);
+  
+  if (other.shape === 'capsule' || isRoundCircle(other)) {
+    // Both are rounded: compare the distance between their cores
+    let pointA;
+    let pointB;
+    let otherRadius;
+    if (other.shape === 'capsule') {
+      const otherCore = getCapsuleCore(other);
+      const closest = closestPointsBetweenSegments(core.a, core.b, otherCore.a, otherCore.b);
+      pointA = closest.a;
+      pointB = closest.b;
+      otherRadius = otherCore.radius;
+    } else {
+      pointB = { x: other.x + other.w / 2, y: other.y + other.h / 2 };
+      pointA = closestPointOnSegment(pointB, core.a, core.b);
+      otherRadius = Math.min(other.w, other.h) / 2;
+    }
+    
+    const dx = pointA.x - pointB.x;
+    const dy = pointA.y - pointB.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const overlap = core.radius + otherRadius - dist;
+    if (overlap <= 0) return { colliding: false };
+    
+    const normal = dist > 0 ? { x: dx / dist, y: dy / dist } : { x: 0, y: -1 };
+    return {
+      colliding: true,
+      overlap,
+      normal,
+      contacts: [{
+        x: pointB.x + normal.x * (otherRadius - overlap / 2),
+        y: pointB.y + normal.y * (otherRadius - overlap / 2),
+        depth: overlap
+      }]
+    };
+  }
+  
+  const parts = getConvexParts(other);
+  if (parts.length === 1) {
+    return detectCapsuleConvex(core, parts[0], { x: other.x + other.w / 2, y: other.y + other.h / 2 });
+  }
+  return mergePartResults(parts.map(part => detectCapsuleConvex(core, part, polygonCenter(part))));
+}
+
+// SAT between a capsule core (segment + radius) and a convex polygon. Besides
+// the face normals, the axes from each polygon vertex to the core cover the
+// rounded ends
+function detectCapsuleConvex(core, vertices, center) {
+  if (vertices.length === 0) return { colliding: false };
+  const { a, b, radius } = core;
+  
+  const axes = [];
+  for (let i = 0; i < vertices.length; i++) {
+    const v1 = vertices[i];
+    const v2 = vertices[(i + 1) % vertices.length];
+    const edgeX = v2.x - v1.x;
+    const edgeY = v2.y - v1.y;
+    const len = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+    if (len > 0) axes.push({ x: -edgeY / len, y: edgeX / len, isFace: true });
+  }
+  const coreX = b.x - a.x;
+  const coreY = b.y - a.y;
+  const coreLength = Math.sqrt(coreX * coreX + coreY * coreY);
+  if (coreLength > 0) {
+    axes.push({ x: -coreY / coreLength, y: coreX / coreLength });
+  }
+  for (const v of vertices) {
+    const closest = closestPointOnSegment(v, a, b);
+    const dx = v.x - closest.x;
+    const dy = v.y - closest.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len > 0) axes.push({ x: dx / len, y: dy / len });
+  }
+  
+  // Track the best face axis apart: when it is nearly as shallow as a rounded
+  // axis it wins, so a capsule sliding over the seam between two bricks is
+  // not caught by the corner of the next one
+  let faceOverlap = Infinity;
+  let faceNormal = null;
+  let minOverlap = Infinity;
+  let collisionNormal = { x: 0, y: 0 };
+  for (const axis of axes) {
+    const projA = a.x * axis.x + a.y * axis.y;
+    const projB = b.x * axis.x + b.y * axis.y;
+    const capsuleMin = Math.min(projA, projB) - radius;
+    const capsuleMax = Math.max(projA, projB) + radius;
+    const poly = projectPolygon(vertices, axis);
+    
+    if (capsuleMax < poly.min || poly.max < capsuleMin) {
+      return { colliding: false };
+    }
+    
+    const overlap = Math.min(capsuleMax - poly.min, poly.max - capsuleMin);
+    if (axis.isFace && overlap < faceOverlap) {
+      faceOverlap = overlap;
+      faceNormal = { x: axis.x, y: axis.y };
+    }
+    if (overlap < minOverlap) {
+      minOverlap = overlap;
+      collisionNormal = { x: axis.x, y: axis.y };
+    }
   }
-  return [];
-}
-
-// SAT (Separating Axis Theorem) collision detection
-function detectCollision(a, b) {
-  // Circle-Circle
-  if (a.shape === 'circle' && b.shape === 'circle') {
-    return detectCircleCircle(a, b);
+  if (faceNormal && faceOverlap <= minOverlap + FACE_PREFERENCE_SLOP) {
+    minOverlap = faceOverlap;
+    collisionNormal = faceNormal;
   }
   
-  // Circle-Polygon
-  if (a.shape === 'circle' && b.shape !== 'circle') {
-    return detectCirclePolygon(a, b);
+  // Ensure normal points from the polygon to the capsule
+  const capsuleCenterX = (a.x + b.x) / 2;
+  const capsuleCenterY = (a.y + b.y) / 2;
+  if ((capsuleCenterX - center.x) * collisionNormal.x + (capsuleCenterY - center.y) * collisionNormal.y < 0) {
+    collisionNormal = { x: -collisionNormal.x, y: -collisionNormal.y };
   }
-  if (a.shape !== 'circle' && b.shape === 'circle') {
-    const result = detectCirclePolygon(b, a);
-    if (result.colliding) {
-      // Flip normal to point toward A
-      result.normal = { x: -result.normal.x, y: -result.normal.y };
+  
+  return {
+    colliding: true,
+    overlap: minOverlap,
+    normal: collisionNormal,
+    contacts: computeCapsuleContacts(core, vertices, collisionNormal, minOverlap)
+  };
+}
+
+// Resting on a face, both ends of the core are clipped against it like an
+// incident edge (a capsule lying flat gets two points). Otherwise the polygon
+// touches the rounded surface at a single point
+function computeCapsuleContacts(core, vertices, normal, overlap) {
+  const reference = findBestEdge(vertices, polygonCenter(vertices), normal);
+  
+  if (reference && reference.alignment > 1 - 1e-3) {
+    const refNormal = reference.normal;
+    const surfaceA = { x: core.a.x - refNormal.x * core.radius, y: core.a.y - refNormal.y * core.radius };
+    const surfaceB = { x: core.b.x - refNormal.x * core.radius, y: core.b.y - refNormal.y * core.radius };
+    const refX = reference.v2.x - reference.v1.x;
+    const refY = reference.v2.y - reference.v1.y;
+    const refLen = Math.sqrt(refX * refX + refY * refY);
+    const tangent = { x: refX / refLen, y: refY / refLen };
+    
+    let points = clipSegment(surfaceA, surfaceB, tangent, tangent.x * reference.v1.x + tangent.y * reference.v1.y);
+    if (points.length >= 2) {
+      points = clipSegment(
+        points[0],
+        points[1],
+        { x: -tangent.x, y: -tangent.y },
+        -(tangent.x * reference.v2.x + tangent.y * reference.v2.y)
+      );
+    }
+    
+    const refOffset = refNormal.x * reference.v1.x + refNormal.y * reference.v1.y;
+    const contacts = [];
+    for (const p of points) {
+      const depth = refOffset - (refNormal.x * p.x + refNormal.y * p.y);
+      if (depth >= -CONTACT_SLOP) {
+        contacts.push({ x: p.x, y: p.y, depth: Math.max(0, depth) });
+      }
     }
-    return result;
+    if (contacts.length > 0) return contacts;
   }
   
-  // Polygon-Polygon (includes rect and triangle)
-  return detectPolygonPolygon(a, b);
+  // Deepest polygon vertex inside the rounded surface
+  let deepest = vertices[0];
+  let deepestProj = -Infinity;
+  for (const v of vertices) {
+    const proj = v.x * normal.x + v.y * normal.y;
+    if (proj > deepestProj) {
+      deepestProj = proj;
+      deepest = v;
+    }
+  }
+  return [{ x: deepest.x, y: deepest.y, depth: overlap }];
 }
 
 function detectCircleCircle(a, b) {
@@ -242,16 +1973,24 @@ function detectCircleCircle(a, b) {
   const ra = Math.min(a.w, a.h) / 2;
   const rb = Math.min(b.w, b.h) / 2;
   
-  const dx = bx - ax;
-  const dy = by - ay;
+  const dx = ax - bx;
+  const dy = ay - by;
   const dist = Math.sqrt(dx * dx + dy * dy);
   const overlap = ra + rb - dist;
   
   if (overlap > 0) {
+    // Normal points from B to A
+    const normal = dist > 0 ? { x: dx / dist, y: dy / dist } : { x: 1, y: 0 };
     return {
       colliding: true,
       overlap: overlap,
-      normal: dist > 0 ? { x: dx / dist, y: dy / dist } : { x: 1, y: 0 }
+      normal: normal,
+      // Single contact halfway between both surfaces
+      contacts: [{
+        x: bx + normal.x * (rb - overlap / 2),
+        y: by + normal.y * (rb - overlap / 2),
+        depth: overlap
+      }]
     };
   }
   
@@ -259,11 +1998,19 @@ function detectCircleCircle(a, b) {
 }
 
 function detectCirclePolygon(circle, poly) {
+  const parts = getConvexParts(poly);
+  if (parts.length === 1) {
+    return detectCircleConvex(circle, parts[0], { x: poly.x + poly.w / 2, y: poly.y + poly.h / 2 });
+  }
+  return mergePartResults(parts.map(part => detectCircleConvex(circle, part, polygonCenter(part))));
+}
+
+// Circle against one convex polygon; center orients the normal
+function detectCircleConvex(circle, vertices, center) {
   const cx = circle.x + circle.w / 2;
   const cy = circle.y + circle.h / 2;
   const r = Math.min(circle.w, circle.h) / 2;
   
-  const vertices = getVertices(poly);
   if (vertices.length === 0) return { colliding: false };
   
   let minOverlap = Infinity;
@@ -329,10 +2076,21 @@ function detectCirclePolygon(circle, poly) {
     }
   }
   
+  // Ensure normal points from the polygon to the circle
+  if ((cx - center.x) * collisionNormal.x + (cy - center.y) * collisionNormal.y < 0) {
+    collisionNormal = { x: -collisionNormal.x, y: -collisionNormal.y };
+  }
+
   return {
     colliding: true,
     overlap: minOverlap,
-    normal: collisionNormal
+    normal: collisionNormal,
+    // Deepest point of the circle inside the polygon
+    contacts: [{
+      x: cx - collisionNormal.x * r,
+      y: cy - collisionNormal.y * r,
+      depth: minOverlap
+    }]
   };
 }
 
@@ -359,9 +2117,26 @@ function projectCircleAndPolygon(cx, cy, r, normalX, normalY, vertices) {
 }
 
 function detectPolygonPolygon(a, b) {
-  const verticesA = getVertices(a);
-  const verticesB = getVertices(b);
+  const partsA = getConvexParts(a);
+  const partsB = getConvexParts(b);
+  
+  // Get center points to determine normal direction
+  if (partsA.length === 1 && partsB.length === 1) {
+    const centerA = { x: a.x + a.w / 2, y: a.y + a.h / 2 };
+    const centerB = { x: b.x + b.w / 2, y: b.y + b.h / 2 };
+    return detectConvexConvex(partsA[0], partsB[0], centerA, centerB);
+  }
   
+  const results = [];
+  for (const partA of partsA) {
+    for (const partB of partsB) {
+      results.push(detectConvexConvex(partA, partB, polygonCenter(partA), polygonCenter(partB)));
+    }
+  }
+  return mergePartResults(results);
+}
+
+function detectConvexConvex(verticesA, verticesB, centerA, centerB) {
   if (verticesA.length === 0 || verticesB.length === 0) {
     return { colliding: false };
   }
@@ -369,10 +2144,6 @@ function detectPolygonPolygon(a, b) {
   let minOverlap = Infinity;
   let collisionNormal = { x: 0, y: 0 };
   
-  // Get center points to determine normal direction
-  const centerA = { x: a.x + a.w / 2, y: a.y + a.h / 2 };
-  const centerB = { x: b.x + b.w / 2, y: b.y + b.h / 2 };
-  
   // Test all axes from both polygons
   const axes = [];
   
@@ -426,10 +2197,142 @@ function detectPolygonPolygon(a, b) {
   return {
     colliding: true,
     overlap: minOverlap,
-    normal: collisionNormal
+    normal: collisionNormal,
+    contacts: computePolygonContacts(verticesA, verticesB, collisionNormal)
   };
 }
 
+function polygonCenter(vertices) {
+  let x = 0;
+  let y = 0;
+  for (const v of vertices) {
+    x += v.x;
+    y += v.y;
+  }
+  return { x: x / vertices.length, y: y / vertices.length };
+}
+
+// Edge whose outward normal is most aligned with the given direction
+function findBestEdge(vertices, center, direction) {
+  let best = null;
+  let bestDot = -Infinity;
+  
+  for (let i = 0; i < vertices.length; i++) {
+    const v1 = vertices[i];
+    const v2 = vertices[(i + 1) % vertices.length];
+    const edgeX = v2.x - v1.x;
+    const edgeY = v2.y - v1.y;
+    const len = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+    if (len === 0) continue;
+    
+    // Orient the edge normal away from the polygon center (works for any winding)
+    let normalX = edgeY / len;
+    let normalY = -edgeX / len;
+    const midX = (v1.x + v2.x) / 2 - center.x;
+    const midY = (v1.y + v2.y) / 2 - center.y;
+    if (midX * normalX + midY * normalY < 0) {
+      normalX = -normalX;
+      normalY = -normalY;
+    }
+    
+    const dot = normalX * direction.x + normalY * direction.y;
+    if (dot > bestDot) {
+      bestDot = dot;
+      best = { v1, v2, normal: { x: normalX, y: normalY }, alignment: dot };
+    }
+  }
+  
+  return best;
+}
+
+// Keep the part of segment [p1, p2] where dot(p, axis) >= offset
+function clipSegment(p1, p2, axis, offset) {
+  const d1 = p1.x * axis.x + p1.y * axis.y - offset;
+  const d2 = p2.x * axis.x + p2.y * axis.y - offset;
+  const clipped = [];
+  
+  if (d1 >= 0) clipped.push(p1);
+  if (d2 >= 0) clipped.push(p2);
+  
+  if (d1 * d2 < 0) {
+    const t = d1 / (d1 - d2);
+    clipped.push({
+      x: p1.x + (p2.x - p1.x) * t,
+      y: p1.y + (p2.y - p1.y) * t
+    });
+  }
+  
+  return clipped;
+}
+
+// Contact manifold for two overlapping convex polygons (normal points from B to A):
+// the face most perpendicular to the normal is the reference face, the facing
+// edge of the other polygon is clipped against its side planes and the points
+// behind the reference face become contacts
+function computePolygonContacts(verticesA, verticesB, normal) {
+  const centerA = polygonCenter(verticesA);
+  const centerB = polygonCenter(verticesB);
+  const edgeB = findBestEdge(verticesB, centerB, normal);
+  const edgeA = findBestEdge(verticesA, centerA, { x: -normal.x, y: -normal.y });
+  
+  let reference = edgeB;
+  let incidentVertices = verticesA;
+  let incidentCenter = centerA;
+  if (edgeA && (!edgeB || edgeA.alignment > edgeB.alignment + 1e-3)) {
+    reference = edgeA;
+    incidentVertices = verticesB;
+    incidentCenter = centerB;
+  }
+  
+  const refNormal = reference.normal;
+  const incident = findBestEdge(incidentVertices, incidentCenter, { x: -refNormal.x, y: -refNormal.y });
+  
+  const refX = reference.v2.x - reference.v1.x;
+  const refY = reference.v2.y - reference.v1.y;
+  const refLen = Math.sqrt(refX * refX + refY * refY);
+  const tangent = { x: refX / refLen, y: refY / refLen };
+  
+  let points = clipSegment(
+    incident.v1,
+    incident.v2,
+    tangent,
+    tangent.x * reference.v1.x + tangent.y * reference.v1.y
+  );
+  if (points.length >= 2) {
+    points = clipSegment(
+      points[0],
+      points[1],
+      { x: -tangent.x, y: -tangent.y },
+      -(tangent.x * reference.v2.x + tangent.y * reference.v2.y)
+    );
+  }
+  
+  const refOffset = refNormal.x * reference.v1.x + refNormal.y * reference.v1.y;
+  const contacts = [];
+  for (const p of points) {
+    const depth = refOffset - (refNormal.x * p.x + refNormal.y * p.y);
+    if (depth >= -CONTACT_SLOP) {
+      contacts.push({ x: p.x, y: p.y, depth: Math.max(0, depth) });
+    }
+  }
+  
+  if (contacts.length === 0) {
+    // Degenerate overlap: fall back to the deepest incident vertex
+    let deepest = incidentVertices[0];
+    let deepestDepth = -Infinity;
+    for (const v of incidentVertices) {
+      const depth = refOffset - (refNormal.x * v.x + refNormal.y * v.y);
+      if (depth > deepestDepth) {
+        deepestDepth = depth;
+        deepest = v;
+      }
+    }
+    contacts.push({ x: deepest.x, y: deepest.y, depth: Math.max(0, deepestDepth) });
+  }
+  
+  return contacts;
+}
+
 function projectPolygon(vertices, axis) {
   let min = Infinity;
   let max = -Infinity;
@@ -443,128 +2346,338 @@ function projectPolygon(vertices, axis) {
   return { min, max };
 }
 
-function resolveCollision(body, other, result) {
-  const { overlap, normal } = result;
+// Min alignment of a contact normal against gravity for a body to stand on
+// it: the cosine of its maxSlope (radians) when it sets one
+function getWalkableAlignment(body) {
+  return Number.isFinite(body.maxSlope) ? Math.cos(body.maxSlope) : GROUND_NORMAL_THRESHOLD;
+}
+
+// Whether a body can stand on a surface whose normal (pointing at the body)
+// is `normal`, under the body's own gravity
+export function isWalkableNormal(body, normal) {
+  const down = getGravityDirection(body.localGravity);
+  return -(normal.x * down.x + normal.y * down.y) > getWalkableAlignment(body);
+}
 
-  // Move body out of collision along normal (positional correction)
-  body.x += normal.x * overlap;
-  body.y += normal.y * overlap;
+// With several ground contacts the flattest one is the ground
+function setGround(body, ground, normal, normalUp) {
+  if (body.onGround && body.groundNormal) {
+    const down = getGravityDirection(body.localGravity);
+    const currentUp = -(body.groundNormal.x * down.x + body.groundNormal.y * down.y);
+    if (currentUp >= normalUp) return;
+  }
+  body.onGround = true;
+  body.groundBody = ground;
+  body.groundNormal = { x: normal.x, y: normal.y };
+}
 
-  // Calculate relative velocity
-  const relVelX = body.vx - (other.vx || 0);
-  const relVelY = body.vy - (other.vy || 0);
+// Prepare a contact between body (A) and other (B); the normal points from B to A
+function createContact(body, other, result) {
+  const { normal } = result;
 
-  // Calculate relative velocity in collision normal direction
-  const velAlongNormal = relVelX * normal.x + relVelY * normal.y;
+  // Determine collision type for special handling: "down" is each body's own
+  // gravity, so under flipped gravity the ceiling is the ground
+  const downA = getGravityDirection(body.localGravity);
+  const downB = getGravityDirection(other.localGravity);
+  const normalUpA = -(normal.x * downA.x + normal.y * downA.y);
+  const normalUpB = normal.x * downB.x + normal.y * downB.y;
+  const isGroundCollision = normalUpA > getWalkableAlignment(body);
+  const isCeilingCollision = normalUpB > getWalkableAlignment(other);
 
-  // Do not resolve if velocities are separating
-  if (velAlongNormal > 0) {
-    return;
+  // Ground contacts are flagged even when the bodies are already separating.
+  // groundBody remembers what the body stands on (e.g. to read its surface)
+  // and groundNormal which way that surface faces
+  if (isGroundCollision) {
+    setGround(body, other, normal, normalUpA);
+  } else if (isCeilingCollision && !other.isStatic) {
+    setGround(other, body, { x: -normal.x, y: -normal.y }, normalUpB);
   }
+  // Surfaces facing up but too steep to stand on: no friction, so the body
+  // slides down them, and steepNormal lets the player stop walking into them
+  const isSteepA = !isGroundCollision && normalUpA > STEEP_NORMAL_THRESHOLD;
+  const isSteepB = !isCeilingCollision && normalUpB > STEEP_NORMAL_THRESHOLD && !other.isStatic;
+  if (isSteepA) body.steepNormal = { x: normal.x, y: normal.y };
+  if (isSteepB) other.steepNormal = { x: -normal.x, y: -normal.y };
 
-  // Calculate restitution (use minimum of both bodies for more realistic behavior)
-  const restitution = Math.min(body.restitution, other.restitution || body.restitution);
-
-  // Calculate impulse scalar with mass consideration
-  // For static objects (other), treat as infinite mass (invMass = 0)
-  const bodyInvMass = body.invMass || 0;
+  // For static objects treat mass as infinite (invMass = 0)
+  const bodyInvMass = body.isStatic ? 0 : (body.invMass || 0);
   const otherInvMass = other.isStatic ? 0 : (other.invMass || 0);
+  const bodyInvInertia = body.isStatic ? 0 : (body.invInertia || 0);
+  const otherInvInertia = other.isStatic ? 0 : (other.invInertia || 0);
   const invMassSum = bodyInvMass + otherInvMass;
 
-  if (invMassSum === 0) {
-    return; // Both objects have infinite mass
-  }
+  // Per-pair surface response from both materials
+  // Bodies with a maxSlope (characters) do not bounce off slopes they slide
+  // on, or walking into one would hop them up it
+  const slides = (isSteepA && Number.isFinite(body.maxSlope)) || (isSteepB && Number.isFinite(other.maxSlope));
+  const restitution = slides ? 0 : mixRestitution(body.restitution, other.restitution);
+  const friction = mixFriction(body.friction, other.friction);
+
+  const tangentX = -normal.y;
+  const tangentY = normal.x;
 
-  // Calculate impulse magnitude
-  let impulseMagnitude = -(1 + restitution) * velAlongNormal;
-  impulseMagnitude /= invMassSum;
+  const points = result.contacts.map((point) => {
+    // Lever arms from each center of mass to the contact point
+    const rAx = point.x - (body.x + body.w / 2);
+    const rAy = point.y - (body.y + body.h / 2);
+    const rBx = point.x - (other.x + other.w / 2);
+    const rBy = point.y - (other.y + other.h / 2);
 
-  // Apply impulse to body
-  const impulseX = impulseMagnitude * normal.x;
-  const impulseY = impulseMagnitude * normal.y;
+    // Effective masses along the normal and tangent, including rotational inertia
+    const rACrossN = rAx * normal.y - rAy * normal.x;
+    const rBCrossN = rBx * normal.y - rBy * normal.x;
+    const rACrossT = rAx * tangentY - rAy * tangentX;
+    const rBCrossT = rBx * tangentY - rBy * tangentX;
+    const normalMass = invMassSum +
+      rACrossN * rACrossN * bodyInvInertia +
+      rBCrossN * rBCrossN * otherInvInertia;
+    const tangentMass = invMassSum +
+      rACrossT * rACrossT * bodyInvInertia +
+      rBCrossT * rBCrossT * otherInvInertia;
 
-  body.vx += impulseX * bodyInvMass;
-  body.vy += impulseY * bodyInvMass;
+    // Slow approaches do not bounce so resting stacks stay still
+    const relative = relativeVelocityAt(body, other, rAx, rAy, rBx, rBy);
+    const velAlongNormal = relative.x * normal.x + relative.y * normal.y;
+    const bounce = -velAlongNormal > BOUNCE_THRESHOLD ? -restitution * velAlongNormal : 0;
+
+    return {
+      x: point.x,
+      y: point.y,
+      rAx, rAy, rBx, rBy,
+      normalMass,
+      tangentMass,
+      bounce,
+      rACrossN,
+      rBCrossN,
+      normalImpulse: 0,
+      tangentImpulse: 0,
+    };
+  });
 
-  // Apply impulse to other if not static
-  if (!other.isStatic && otherInvMass > 0) {
-    other.vx -= impulseX * otherInvMass;
-    other.vy -= impulseY * otherInvMass;
+  // Two-point manifolds are solved as a 2x2 block so both points agree on the
+  // impulse split; sequential passes alone leave spurious spin on resting faces
+  let blockMatrix = null;
+  if (points.length === 2) {
+    const [p1, p2] = points;
+    const k11 = p1.normalMass;
+    const k22 = p2.normalMass;
+    const k12 = invMassSum +
+      p1.rACrossN * p2.rACrossN * bodyInvInertia +
+      p1.rBCrossN * p2.rBCrossN * otherInvInertia;
+    const det = k11 * k22 - k12 * k12;
+    if (k11 * k11 < MAX_CONDITION_NUMBER * det) {
+      blockMatrix = { k11, k12, k22, det };
+    }
   }
 
-  // Determine collision type for special handling
-  const isGroundCollision = normal.y < -0.3;
-  const isCeilingCollision = normal.y > 0.3;
-  const isWallCollision = Math.abs(normal.y) < 0.7;
+  return {
+    bodyA: body,
+    bodyB: other,
+    result,
+    normal,
+    points,
+    blockMatrix,
+    // Friction only applies when one body rests on the other
+    hasFriction: isGroundCollision || (isCeilingCollision && !other.isStatic),
+    friction,
+  };
+}
+
+function contactKey(a, b) {
+  return `${a.id}|${b.id}`;
+}
 
-  // Apply friction for ground collisions
-  if (isGroundCollision) {
-    body.onGround = true;
+function warmStartContact(contact, previous) {
+  if (!previous) return;
+  const { bodyA: body, bodyB: other, normal } = contact;
+  const tangentX = -normal.y;
+  const tangentY = normal.x;
 
-    // Tangent friction (perpendicular to normal)
-    const tangentX = -normal.y;
-    const tangentY = normal.x;
+  for (const point of contact.points) {
+    const match = previous.points.find((old) =>
+      Math.abs(old.x - point.x) < WARM_START_DISTANCE &&
+      Math.abs(old.y - point.y) < WARM_START_DISTANCE);
+    if (!match) continue;
 
-    const velAlongTangent = relVelX * tangentX + relVelY * tangentY;
+    point.normalImpulse = match.normalImpulse;
+    point.tangentImpulse = contact.hasFriction ? match.tangentImpulse : 0;
+    applyContactImpulse(body, other, point.rAx, point.rAy, point.rBx, point.rBy,
+      normal.x * point.normalImpulse + tangentX * point.tangentImpulse,
+      normal.y * point.normalImpulse + tangentY * point.tangentImpulse);
+  }
+}
 
-    // Coulomb friction model
-    const frictionCoefficient = FRICTION;
-    const frictionMagnitude = Math.abs(velAlongTangent) * frictionCoefficient;
+// Relative velocity of A with respect to B at a contact point (v + ω × r)
+function relativeVelocityAt(body, other, rAx, rAy, rBx, rBy) {
+  const bodyAngular = body.angularVelocity || 0;
+  const otherAngular = other.angularVelocity || 0;
+  return {
+    x: (body.vx - bodyAngular * rAy) - ((other.vx || 0) - otherAngular * rBy),
+    y: (body.vy + bodyAngular * rAx) - ((other.vy || 0) + otherAngular * rBx),
+  };
+}
 
-    const frictionImpulseX = -tangentX * frictionMagnitude * bodyInvMass;
-    const frictionImpulseY = -tangentY * frictionMagnitude * bodyInvMass;
+// One velocity iteration over a contact manifold. Impulses are accumulated per
+// point and clamped (push only, friction within the Coulomb cone), so several
+// iterations converge to a consistent solution for every point at once
+function resolveCollision(contact) {
+  const { bodyA: body, bodyB: other, normal } = contact;
+  const tangentX = -normal.y;
+  const tangentY = normal.x;
 
-    body.vx += frictionImpulseX;
-    body.vy += frictionImpulseY;
+  // Friction first so the non-penetration constraint has the final word
+  if (contact.hasFriction) {
+    for (const point of contact.points) {
+      if (point.tangentMass <= 0) continue;
+      const { rAx, rAy, rBx, rBy } = point;
 
-    // Clamp small velocities
-    if (Math.abs(body.vx) < MIN_VELOCITY) body.vx = 0;
-    if (Math.abs(body.vy) < MIN_VELOCITY) body.vy = 0;
-  } else if (isCeilingCollision) {
-    // Additional damping for ceiling hits
-    if (body.vy < 0) {
-      body.vy *= 0.5;
+      // Coulomb friction model: tangential impulse limited by the normal impulse
+      const relative = relativeVelocityAt(body, other, rAx, rAy, rBx, rBy);
+      const velAlongTangent = relative.x * tangentX + relative.y * tangentY;
+      const maxFriction = point.normalImpulse * contact.friction;
+      const nextTangentImpulse = Math.max(
+        -maxFriction,
+        Math.min(maxFriction, point.tangentImpulse - velAlongTangent / point.tangentMass),
+      );
+      const appliedTangent = nextTangentImpulse - point.tangentImpulse;
+      point.tangentImpulse = nextTangentImpulse;
+      applyContactImpulse(body, other, rAx, rAy, rBx, rBy,
+        tangentX * appliedTangent, tangentY * appliedTangent);
     }
   }
 
-  // Calculate contact point for angular velocity effects (more advanced physics)
-  if (body.angularVelocity !== undefined && !isGroundCollision) {
-    // Simple torque calculation based on collision offset from center
-    const centerX = body.x + body.w / 2;
-    const centerY = body.y + body.h / 2;
+  if (contact.blockMatrix) {
+    solveBlockNormal(contact);
+    return;
+  }
+
+  for (const point of contact.points) {
+    if (point.normalMass <= 0) continue;
+    const { rAx, rAy, rBx, rBy } = point;
+
+    // Normal impulse: stop the approach (or bounce) at this point
+    const relative = relativeVelocityAt(body, other, rAx, rAy, rBx, rBy);
+    const velAlongNormal = relative.x * normal.x + relative.y * normal.y;
+    const normalDelta = (point.bounce - velAlongNormal) / point.normalMass;
+    const nextNormalImpulse = Math.max(point.normalImpulse + normalDelta, 0);
+    const appliedNormal = nextNormalImpulse - point.normalImpulse;
+    point.normalImpulse = nextNormalImpulse;
+    applyContactImpulse(body, other, rAx, rAy, rBx, rBy,
+      normal.x * appliedNormal, normal.y * appliedNormal);
+  }
+}
+
+// Solve both normal impulses of a two-point manifold as a small linear
+// complementarity problem: find x >= 0 with vn = K·x + b >= 0 and x·vn = 0,
+// trying each combination of active points in turn
+function solveBlockNormal(contact) {
+  const { bodyA: body, bodyB: other, normal, points, blockMatrix } = contact;
+  const [p1, p2] = points;
+  const { k11, k12, k22, det } = blockMatrix;
+
+  const rel1 = relativeVelocityAt(body, other, p1.rAx, p1.rAy, p1.rBx, p1.rBy);
+  const rel2 = relativeVelocityAt(body, other, p2.rAx, p2.rAy, p2.rBx, p2.rBy);
+  const vn1 = rel1.x * normal.x + rel1.y * normal.y;
+  const vn2 = rel2.x * normal.x + rel2.y * normal.y;
 
-    // Approximate contact point (center + normal * some offset)
-    const contactOffsetX = normal.x * Math.min(body.w, body.h) * 0.5;
-    const contactOffsetY = normal.y * Math.min(body.w, body.h) * 0.5;
+  // b = vn - bounce - K·a, with a the impulses accumulated so far
+  const a1 = p1.normalImpulse;
+  const a2 = p2.normalImpulse;
+  const b1 = vn1 - p1.bounce - (k11 * a1 + k12 * a2);
+  const b2 = vn2 - p2.bounce - (k12 * a1 + k22 * a2);
 
-    // Calculate torque (cross product of contact offset and impulse)
-    const torque = contactOffsetX * impulseY - contactOffsetY * impulseX;
+  let x1;
+  let x2;
+  const solved = (() => {
+    // Both points active
+    x1 = -(k22 * b1 - k12 * b2) / det;
+    x2 = -(k11 * b2 - k12 * b1) / det;
+    if (x1 >= 0 && x2 >= 0) return true;
 
-    // Apply angular impulse (simplified - proper implementation would use moment of inertia)
-    const angularImpulse = torque / (body.mass * 100); // Scaled for gameplay
-    body.angularVelocity += angularImpulse;
+    // Only the first point active
+    x1 = -b1 / k11;
+    x2 = 0;
+    if (x1 >= 0 && k12 * x1 + b2 >= 0) return true;
+
+    // Only the second point active
+    x1 = 0;
+    x2 = -b2 / k22;
+    if (x2 >= 0 && k12 * x2 + b1 >= 0) return true;
+
+    // Both points separating
+    x1 = 0;
+    x2 = 0;
+    return b1 >= 0 && b2 >= 0;
+  })();
+
+  if (!solved) return;
+
+  const d1 = x1 - a1;
+  const d2 = x2 - a2;
+  p1.normalImpulse = x1;
+  p2.normalImpulse = x2;
+  applyContactImpulse(body, other, p1.rAx, p1.rAy, p1.rBx, p1.rBy, normal.x * d1, normal.y * d1);
+  applyContactImpulse(body, other, p2.rAx, p2.rAy, p2.rBx, p2.rBy, normal.x * d2, normal.y * d2);
+}
+
+// Apply an impulse at the contact point: +impulse to body, -impulse to other
+function applyContactImpulse(body, other, rAx, rAy, rBx, rBy, impulseX, impulseY) {
+  if (!body.isStatic) {
+    body.vx += impulseX * (body.invMass || 0);
+    body.vy += impulseY * (body.invMass || 0);
+    body.angularVelocity = (body.angularVelocity || 0) +
+      (rAx * impulseY - rAy * impulseX) * (body.invInertia || 0);
+  }
+  if (!other.isStatic) {
+    other.vx -= impulseX * (other.invMass || 0);
+    other.vy -= impulseY * (other.invMass || 0);
+    other.angularVelocity = (other.angularVelocity || 0) -
+      (rBx * impulseY - rBy * impulseX) * (other.invInertia || 0);
+  }
+}
+
+// Move bodies out of collision along normal (positional correction),
+// split so the lighter body moves further
+function separateBodies(body, other, result) {
+  const { normal } = result;
+  const overlap = result.overlap - POSITION_SLOP;
+  const bodyInvMass = body.isStatic ? 0 : (body.invMass || 0);
+  const otherInvMass = other.isStatic ? 0 : (other.invMass || 0);
+  const invMassSum = bodyInvMass + otherInvMass;
+
+  if (invMassSum === 0) {
+    return; // Both objects have infinite mass
   }
+
+  const bodyShare = bodyInvMass / invMassSum;
+  const otherShare = otherInvMass / invMassSum;
+  body.x += normal.x * overlap * bodyShare;
+  body.y += normal.y * overlap * bodyShare;
+  other.x -= normal.x * overlap * otherShare;
+  other.y -= normal.y * overlap * otherShare;
 }
 
 export function pointInBrick(brick, px, py) {
   if (brick.shape === 'circle') {
-    // For circles, transform point to local rotated space
-    const localX = (px - brick.x) / brick.w;
-    const localY = (py - brick.y) / brick.h;
-    
-    // Rotate point around center (0.5, 0.5) in opposite direction
+    // Rotate the point back into the ellipse's frame around its center
     const cos = Math.cos(-brick.rotation);
     const sin = Math.sin(-brick.rotation);
-    const offsetX = localX - 0.5;
-    const offsetY = localY - 0.5;
-    const rotatedX = offsetX * cos - offsetY * sin + 0.5;
-    const rotatedY = offsetX * sin + offsetY * cos + 0.5;
+    const offsetX = px - (brick.x + brick.w / 2);
+    const offsetY = py - (brick.y + brick.h / 2);
+    const rotatedX = offsetX * cos - offsetY * sin;
+    const rotatedY = offsetX * sin + offsetY * cos;
     
-    // Check if point is in unit circle
-    const dx = rotatedX - 0.5;
-    const dy = rotatedY - 0.5;
-    return (dx * dx + dy * dy) <= 0.25; // 0.5^2
-  } else if (brick.shape === 'triangle' || brick.shape === 'rect') {
+    // Check if point is in the ellipse with semi-axes w/2 and h/2
+    const dx = rotatedX / (brick.w / 2);
+    const dy = rotatedY / (brick.h / 2);
+    return (dx * dx + dy * dy) <= 1;
+  } else if (brick.shape === 'capsule') {
+    const core = getCapsuleCore(brick);
+    const closest = closestPointOnSegment({ x: px, y: py }, core.a, core.b);
+    const dx = px - closest.x;
+    const dy = py - closest.y;
+    return dx * dx + dy * dy <= core.radius * core.radius;
+  } else if (brick.shape === 'triangle' || brick.shape === 'rect' || brick.shape === 'polygon') {
     // Point-in-polygon test with rotated vertices
     const vertices = getVertices(brick);
     if (vertices.length === 0) return false;
@@ -584,19 +2697,308 @@ export function pointInBrick(brick, px, py) {
   return false;
 }
 
+// Queries: read-only lookups against the world's colliders, used by gameplay
+// (line of sight, ground probes) and the editor (picking). Every query takes an
+// optional filter, either a predicate `body => boolean` or an object
+// `{ exclude, includeSensors, test }`; sensors are skipped unless included
+function createQueryFilter(filter) {
+  const options = typeof filter === 'function' ? { test: filter } : (filter || {});
+  const exclude = options.exclude;
+  return body => {
+    if (body.isSensor && !options.includeSensors) return false;
+    if (exclude && (Array.isArray(exclude) ? exclude.includes(body) : exclude === body)) return false;
+    return !options.test || Boolean(options.test(body));
+  };
+}
+
+// Bodies whose shape contains the point
+export function queryPoint(world, point, filter) {
+  const accept = createQueryFilter(filter);
+  const area = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+  const results = [];
+  for (const body of broadphaseQuery(world.broadphase, area)) {
+    if (accept(body) && pointInBrick(body, point.x, point.y)) {
+      results.push(body);
+    }
+  }
+  return results;
+}
+
+// Bodies whose shape overlaps the axis-aligned box { minX, minY, maxX, maxY }
+export function queryAABB(world, aabb, filter) {
+  const accept = createQueryFilter(filter);
+  const box = {
+    x: aabb.minX,
+    y: aabb.minY,
+    w: aabb.maxX - aabb.minX,
+    h: aabb.maxY - aabb.minY,
+    rotation: 0,
+    shape: 'rect',
+  };
+  const results = [];
+  for (const body of broadphaseQuery(world.broadphase, aabb)) {
+    if (accept(body) && detectCollision(box, body).colliding) {
+      results.push(body);
+    }
+  }
+  return results;
+}
+
+// Closest body hit by the segment from -> to, or null. The hit reports the
+// body, the point, the surface normal (facing the ray), the distance from
+// `from` and the fraction of the segment. A ray starting inside a body hits it
+// at distance 0 with the normal facing back along the ray
+export function raycast(world, from, to, filter) {
+  const accept = createQueryFilter(filter);
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  const area = {
+    minX: Math.min(from.x, to.x),
+    minY: Math.min(from.y, to.y),
+    maxX: Math.max(from.x, to.x),
+    maxY: Math.max(from.y, to.y),
+  };
+
+  let closest = null;
+  for (const body of broadphaseQuery(world.broadphase, area)) {
+    if (!accept(body)) continue;
+    let hit = null;
+    if (isRoundCircle(body)) {
+      hit = raycastCircle(body.x + body.w / 2, body.y + body.h / 2, Math.min(body.w, body.h) / 2, from, dx, dy);
+    } else if (body.shape === 'capsule') {
+      hit = raycastCapsule(getCapsuleCore(body), from, dx, dy);
+    } else {
+      for (const part of getConvexParts(body)) {
+        const partHit = raycastPolygon(part, from, dx, dy);
+        if (partHit && (!hit || partHit.fraction < hit.fraction)) hit = partHit;
+      }
+    }
+    if (!hit || (closest && hit.fraction >= closest.fraction)) continue;
+    closest = { body, ...hit };
+  }
+
+  if (!closest) return null;
+  if (closest.fraction === 0 && length > 0) {
+    closest.normal = { x: -dx / length, y: -dy / length };
+  }
+  return {
+    body: closest.body,
+    point: { x: from.x + dx * closest.fraction, y: from.y + dy * closest.fraction },
+    normal: closest.normal,
+    distance: length * closest.fraction,
+    fraction: closest.fraction,
+  };
+}
+
+// Slab clipping of the segment against each edge of a convex polygon
+function raycastPolygon(vertices, from, dx, dy) {
+  if (vertices.length === 0) return null;
+  const center = polygonCenter(vertices);
+  let enter = 0;
+  let exit = 1;
+  let normal = null;
+
+  for (let i = 0; i < vertices.length; i++) {
+    const v1 = vertices[i];
+    const v2 = vertices[(i + 1) % vertices.length];
+    const edgeX = v2.x - v1.x;
+    const edgeY = v2.y - v1.y;
+    const len = Math.hypot(edgeX, edgeY);
+    if (len === 0) continue;
+    let nx = -edgeY / len;
+    let ny = edgeX / len;
+    // Make the edge normal point outwards whatever the winding
+    if ((v1.x - center.x) * nx + (v1.y - center.y) * ny < 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+
+    const distance = (v1.x - from.x) * nx + (v1.y - from.y) * ny; // > 0 when `from` is inside this edge
+    const approach = dx * nx + dy * ny;
+    if (approach === 0) {
+      if (distance < 0) return null;
+      continue;
+    }
+    const t = distance / approach;
+    if (approach < 0) {
+      if (t > enter) {
+        enter = t;
+        normal = { x: nx, y: ny };
+      }
+    } else if (t < exit) {
+      exit = t;
+    }
+    if (enter > exit) return null;
+  }
+
+  return { fraction: enter, normal: normal || { x: 0, y: 0 } };
+}
+
+function raycastCircle(cx, cy, r, from, dx, dy) {
+  const fx = from.x - cx;
+  const fy = from.y - cy;
+  const c = fx * fx + fy * fy - r * r;
+  if (c <= 0) return { fraction: 0, normal: { x: 0, y: 0 } };
+
+  const a = dx * dx + dy * dy;
+  const b = fx * dx + fy * dy;
+  const discriminant = b * b - a * c;
+  if (a === 0 || b >= 0 || discriminant < 0) return null;
+  const t = (-b - Math.sqrt(discriminant)) / a;
+  if (t > 1) return null;
+  const hx = fx + dx * t;
+  const hy = fy + dy * t;
+  return { fraction: t, normal: { x: hx / r, y: hy / r } };
+}
+
+// A capsule is its core box plus a disc at each end; the earliest hit wins
+function raycastCapsule(core, from, dx, dy) {
+  const { a, b, radius } = core;
+  const hits = [
+    raycastCircle(a.x, a.y, radius, from, dx, dy),
+    raycastCircle(b.x, b.y, radius, from, dx, dy),
+  ];
+  const coreX = b.x - a.x;
+  const coreY = b.y - a.y;
+  const coreLength = Math.sqrt(coreX * coreX + coreY * coreY);
+  if (coreLength > 0) {
+    const sideX = (-coreY / coreLength) * radius;
+    const sideY = (coreX / coreLength) * radius;
+    hits.push(raycastPolygon([
+      { x: a.x + sideX, y: a.y + sideY },
+      { x: b.x + sideX, y: b.y + sideY },
+      { x: b.x - sideX, y: b.y - sideY },
+      { x: a.x - sideX, y: a.y - sideY },
+    ], from, dx, dy));
+  }
+
+  let closest = null;
+  for (const hit of hits) {
+    if (hit && (!closest || hit.fraction < closest.fraction)) closest = hit;
+  }
+  return closest;
+}
+
+// Sweep a shape { shape, w, h, rotation } with its top-left corner going from
+// -> to and return the first body it touches, or null. Like the CCD sweep it
+// samples the motion and refines the time of impact by bisection; `point` is
+// the shape's top-left position at impact and `contact` where it touches
+export function shapeCast(world, shape, from, to, filter) {
+  const accept = createQueryFilter(filter);
+  const probe = {
+    x: from.x,
+    y: from.y,
+    w: shape.w,
+    h: shape.h,
+    rotation: shape.rotation || 0,
+    shape: shape.shape || 'rect',
+  };
+  const startAABB = getBodyAABB(probe);
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const area = {
+    minX: Math.min(startAABB.minX, startAABB.minX + dx),
+    minY: Math.min(startAABB.minY, startAABB.minY + dy),
+    maxX: Math.max(startAABB.maxX, startAABB.maxX + dx),
+    maxY: Math.max(startAABB.maxY, startAABB.maxY + dy),
+  };
+  const candidates = [...broadphaseQuery(world.broadphase, area)].filter(accept);
+  if (candidates.length === 0) return null;
+
+  const touching = t => {
+    probe.x = from.x + dx * t;
+    probe.y = from.y + dy * t;
+    return candidates.filter(body => detectCollision(probe, body).colliding);
+  };
+
+  const length = Math.hypot(dx, dy);
+  const sampleLength = Math.min(probe.w, probe.h) * CCD_MOTION_RATIO;
+  const samples = sampleLength > 0 ? Math.max(1, Math.ceil(length / sampleLength)) : 1;
+  let free = 0;
+  let hit = -1;
+  let hitBodies = touching(0);
+  if (hitBodies.length > 0) {
+    hit = 0;
+  } else {
+    for (let i = 1; i <= samples; i++) {
+      hitBodies = touching(i / samples);
+      if (hitBodies.length > 0) {
+        hit = i / samples;
+        break;
+      }
+      free = i / samples;
+    }
+    if (hit < 0) return null;
+
+    for (let i = 0; i < CCD_BISECTIONS; i++) {
+      const t = (free + hit) / 2;
+      const bodies = touching(t);
+      if (bodies.length > 0) {
+        hit = t;
+        hitBodies = bodies;
+      } else {
+        free = t;
+      }
+    }
+  }
+
+  // Report the deepest of the bodies touched at the time of impact
+  touching(hit);
+  let best = null;
+  for (const body of hitBodies) {
+    const result = detectCollision(probe, body);
+    if (result.colliding && (!best || result.overlap > best.result.overlap)) {
+      best = { body, result };
+    }
+  }
+  if (!best) return null;
+
+  return {
+    body: best.body,
+    point: { x: probe.x, y: probe.y },
+    contact: best.result.contacts?.[0] ? { x: best.result.contacts[0].x, y: best.result.contacts[0].y } : null,
+    normal: best.result.normal,
+    distance: length * hit,
+    fraction: hit,
+  };
+}
+
+// Broken bricks are still part of the level; fragments are not
 export function serializeBricks(world) {
-  return world.bricks.map(b => ({
-    x: b.x,
-    y: b.y,
+  const bricks = [
+    ...world.bricks.filter(b => !b.fragment),
+    ...world.brokenBricks.map(entry => entry.brick),
+  ];
+  return bricks.map(b => ({
+    id: b.id,
+    // Kinematic bricks are saved at the start of their path, not mid-ride,
+    // and dynamic ones where they were placed
+    x: b.isKinematic ? b.path.points[0].x : (b.authoredPose || b).x,
+    y: b.isKinematic ? b.path.points[0].y : (b.authoredPose || b).y,
     w: b.w,
     h: b.h,
     shape: b.shape,
+    points: b.shape === 'polygon' ? b.points.map(point => ({ x: point.x, y: point.y })) : undefined,
     color: b.color,
-    rotation: b.rotation,
+    rotation: (b.authoredPose || b).rotation,
     z: typeof b.z === 'number' ? b.z : 0,
-    // Include physics properties if they differ from defaults
-    density: b.density !== DEFAULT_DENSITY ? b.density : undefined,
-    restitution: b.restitution !== DEFAULT_RESTITUTION ? b.restitution : undefined
+    isStatic: b.isStatic ? undefined : false,
+    isKinematic: b.isKinematic ? true : undefined,
+    path: b.isKinematic ? serializePath(b.path) : undefined,
+    oneWay: b.oneWay ? true : undefined,
+    isSensor: b.isSensor ? true : undefined,
+    tag: b.tag || undefined,
+    gravityZone: b.gravityZone ? { x: b.gravityZone.x, y: b.gravityZone.y } : undefined,
+    fluid: b.fluid ? { ...b.fluid } : undefined,
+    wind: b.wind ? { x: b.wind.x, y: b.wind.y } : undefined,
+    attractor: b.attractor ?? undefined,
+    breakable: b.breakable ? { ...b.breakable } : undefined,
+    material: b.material !== DEFAULT_MATERIAL ? b.material : undefined,
+    // Include physics properties if they differ from the material preset
+    friction: b.friction !== getMaterial(b.material).friction ? b.friction : undefined,
+    density: b.density !== getMaterial(b.material).density ? b.density : undefined,
+    restitution: b.restitution !== getMaterial(b.material).restitution ? b.restitution : undefined
   }));
 }
 
@@ -606,13 +3008,222 @@ export function loadBricks(world, data) {
     if (typeof item.x === 'number' && typeof item.y === 'number' &&
         typeof item.w === 'number' && typeof item.h === 'number') {
       brick(world, item.x, item.y, item.w, item.h, {
+        id: typeof item.id === 'string' ? item.id : undefined,
         shape: item.shape || 'rect',
+        points: item.points,
         color: item.color || [0.8, 0.4, 0.2, 1.0],
         rotation: item.rotation || 0,
         z: Number.isFinite(item.z) ? Math.round(item.z) : 0,
+        isStatic: item.isStatic !== false,
+        isKinematic: item.isKinematic === true,
+        path: item.path,
+        oneWay: item.oneWay === true,
+        isSensor: item.isSensor === true,
+        tag: item.tag,
+        gravityZone: item.gravityZone,
+        fluid: item.fluid,
+        wind: item.wind,
+        attractor: item.attractor,
+        breakable: item.breakable,
+        material: item.material,
+        friction: item.friction,
         density: item.density,
         restitution: item.restitution
       });
     }
   });
-}
\ No newline at end of file
+}
+
+// Level data: bricks, the joints between them and the world settings. Older
+// saves are a bare array of bricks
+export function serializeLevel(world) {
+  return {
+    bricks: serializeBricks(world),
+    joints: serializeJoints(world, getLevelJoints(world)),
+    settings: serializeWorldSettings(world),
+  };
+}
+
+// The world's joints plus the ones waiting with broken bricks
+function getLevelJoints(world) {
+  const joints = new Set(world.joints);
+  for (const entry of world.brokenBricks) {
+    entry.joints.forEach(joint => joints.add(joint));
+  }
+  return [...joints];
+}
+
+export function loadLevel(world, data) {
+  if (Array.isArray(data)) {
+    loadBricks(world, data);
+    return;
+  }
+  if (!data || typeof data !== 'object') return;
+  if (data.settings && typeof data.settings === 'object') {
+    setWorldSettings(world, data.settings);
+  }
+  loadBricks(world, data.bricks);
+  loadJoints(world, data.joints);
+}
+
+// Snapshots capture the whole simulation state, not just what the editor
+// authored: poses, velocities, kinematic progress, the impulses carried over
+// for warm starting, and the one-way and sensor bookkeeping. A snapshot is
+// plain data (keep it in memory or JSON.stringify it); restoring it and
+// stepping with the same inputs and time steps reproduces the run exactly.
+//
+// Bricks are recreated from the snapshot. Other bodies (characters) belong to
+// gameplay code: they are matched by id and must already be in the world, and
+// only their physics state is restored
+const BODY_STATE_FIELDS = [
+  'x', 'y', 'w', 'h', 'vx', 'vy', 'rotation', 'angularVelocity', 'onGround',
+  'groundNormal', 'steepNormal', 'ignoreOneWay', 'localGravity', 'submerged', 'force', 'torque', 'isSleeping', 'sleepTime', 'sleepIsland',
+  'mass', 'invMass', 'inertia', 'invInertia',
+];
+
+function copyState(value) {
+  if (Array.isArray(value)) return value.map(copyState);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = copyState(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function snapshotBrick(body) {
+  const state = {};
+  for (const [key, value] of Object.entries(body)) {
+    // References to other bodies are stored as ids
+    state[key] = key === 'groundBody' ? value?.id ?? null : copyState(value);
+  }
+  return state;
+}
+
+function snapshotCharacter(body) {
+  const state = { id: body.id, groundBody: body.groundBody?.id ?? null };
+  for (const field of BODY_STATE_FIELDS) {
+    if (body[field] !== undefined) state[field] = copyState(body[field]);
+  }
+  return state;
+}
+
+export function snapshotWorld(world) {
+  const bricks = new Set(world.bricks);
+  return {
+    settings: serializeWorldSettings(world),
+    order: world.bodies.map(body => body.id),
+    bricks: world.bricks.map(snapshotBrick),
+    bodies: world.bodies.filter(body => !bricks.has(body)).map(snapshotCharacter),
+    joints: snapshotJoints(world, getLevelJoints(world)),
+    brokenBricks: world.brokenBricks.map(entry => ({
+      brick: snapshotBrick(entry.brick),
+      joints: entry.joints.map(joint => joint.id),
+      respawnIn: entry.respawnIn,
+    })),
+    fragmentSerial: world.fragmentSerial,
+    contacts: [...world.contacts].map(([key, contact]) => ({
+      key,
+      bodyA: contact.bodyA.id,
+      bodyB: contact.bodyB.id,
+      normal: { x: contact.normal.x, y: contact.normal.y },
+      points: contact.points.map(point => ({
+        x: point.x,
+        y: point.y,
+        normalImpulse: point.normalImpulse,
+        tangentImpulse: point.tangentImpulse,
+      })),
+    })),
+    passThrough: [...world.passThrough],
+    sensorOverlaps: [...world.sensorOverlaps].map(([key, overlap]) => ({
+      key,
+      sensor: overlap.sensor.id,
+      body: overlap.body.id,
+    })),
+  };
+}
+
+export function restoreWorld(world, snapshot) {
+  world.settings = normalizeWorldSettings(snapshot.settings);
+  applyLevelSettings(world);
+  const bodiesById = new Map(world.floor ? [[world.floor.id, world.floor]] : []);
+  const previousBricks = new Set(world.bricks);
+  const characters = new Map(world.bodies
+    .filter(body => !previousBricks.has(body))
+    .map(body => [body.id, body]));
+  const groundIds = new Map();
+
+  // Bricks are restored in place, so whatever holds on to one (the editor's
+  // selection, gameplay code comparing event bodies) keeps a live object;
+  // only bricks added or removed since the snapshot are created or dropped
+  const existingBricks = new Map([...world.bricks, ...world.brokenBricks.map(entry => entry.brick)]
+    .map(body => [body.id, body]));
+  const restoreBrick = (state) => {
+    const saved = copyState(state);
+    const body = existingBricks.get(saved.id) || {};
+    for (const key of Object.keys(body)) {
+      if (!(key in saved)) delete body[key];
+    }
+    Object.assign(body, saved);
+    bodiesById.set(body.id, body);
+    if (state.groundBody !== undefined) groundIds.set(body, state.groundBody);
+    return body;
+  };
+  world.bricks = snapshot.bricks.map(restoreBrick);
+  const brokenBricks = (snapshot.brokenBricks || []).map(item => ({ ...item, brick: restoreBrick(item.brick) }));
+  for (const state of snapshot.bodies) {
+    const body = characters.get(state.id);
+    if (!body) continue;
+    for (const field of BODY_STATE_FIELDS) {
+      if (state[field] !== undefined) body[field] = copyState(state[field]);
+    }
+    bodiesById.set(body.id, body);
+    groundIds.set(body, state.groundBody);
+  }
+  for (const [body, groundId] of groundIds) {
+    body.groundBody = groundId !== null ? bodiesById.get(groundId) || null : null;
+  }
+
+  // Bodies that were not in the snapshot leave the world, and the grid is
+  // rebuilt from scratch in body order
+  world.bodies = snapshot.order.map(id => bodiesById.get(id)).filter(Boolean);
+  world.broadphase = createBroadphase(world.broadphase.cellSize);
+  if (world.floor) broadphaseInsert(world.broadphase, world.floor, getBodyAABB(world.floor));
+  for (const body of world.bodies) {
+    broadphaseInsert(world.broadphase, body, getBodyAABB(body));
+  }
+  restoreJoints(world, snapshot.joints, bodiesById);
+  // Joints of broken bricks wait with them, out of the world
+  world.brokenBricks = brokenBricks.map(item => ({
+    brick: item.brick,
+    joints: world.joints.filter(joint => item.joints.includes(joint.id)),
+    respawnIn: item.respawnIn,
+  }));
+  const waiting = new Set(world.brokenBricks.flatMap(entry => entry.joints));
+  world.joints = world.joints.filter(joint => !waiting.has(joint));
+  world.fragmentSerial = snapshot.fragmentSerial || 0;
+
+  world.contacts = new Map();
+  for (const item of snapshot.contacts) {
+    const bodyA = bodiesById.get(item.bodyA);
+    const bodyB = bodiesById.get(item.bodyB);
+    if (!bodyA || !bodyB) continue;
+    world.contacts.set(item.key, {
+      bodyA,
+      bodyB,
+      normal: { ...item.normal },
+      points: item.points.map(point => ({ ...point })),
+    });
+  }
+  world.passThrough = new Set(snapshot.passThrough);
+  world.sensorOverlaps = new Map();
+  for (const item of snapshot.sensorOverlaps) {
+    const sensor = bodiesById.get(item.sensor);
+    const body = bodiesById.get(item.body);
+    if (sensor && body) world.sensorOverlaps.set(item.key, { sensor, body });
+  }
+  world.events = [];
+  return world;
+}
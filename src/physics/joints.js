@@ -0,0 +1,497 @@
+// Joints: constraints that link two bodies, or a body and a fixed world point
+// (bodyB = null). They are solved with impulses inside the velocity solver of
+// step(), next to the contacts.
+//
+// Anchors are stored in the body's normalized local space (0..1 across w/h,
+// before rotation), the same space getVertices() rotates in, so an anchor stays
+// glued to the spot of the brick that is drawn on screen
+export const JOINT_TYPES = ['hinge', 'distance', 'spring', 'rope', 'weld'];
+
+const LINEAR_SLOP = 0.5; // Anchor drift (px) tolerated before positions are corrected
+const ANGULAR_SLOP = 0.01; // Weld angle drift (rad) tolerated before it is corrected
+const MAX_LINEAR_CORRECTION = 20; // px moved per position pass at most
+const MAX_ANGULAR_CORRECTION = 0.2; // rad turned per position pass at most
+const POSITION_CORRECTION = 0.5; // Fraction of the remaining error removed per pass
+const DEFAULT_SPRING_FREQUENCY = 2; // Hz
+const DEFAULT_SPRING_DAMPING = 0.3; // 0 = oscillates forever, 1 = critically damped
+
+export function isJointType(type) {
+  return JOINT_TYPES.includes(type);
+}
+
+// anchorA/anchorB are world points. Hinges and welds pin both bodies to a single
+// pivot (anchorA); distance, spring and rope joints keep the distance between the
+// two anchors, measured when the joint is created unless opts.length is given
+export function createJoint(world, type, bodyA, bodyB = null, opts = {}) {
+  if (!isJointType(type)) {
+    throw new Error(`Unknown joint type: ${type}`);
+  }
+  if (!bodyA || bodyA === bodyB) {
+    throw new Error('A joint needs a first body distinct from the second one');
+  }
+
+  const anchorA = opts.anchorA || bodyCenter(bodyA);
+  const isPivot = type === 'hinge' || type === 'weld';
+  const anchorB = isPivot
+    ? anchorA
+    : opts.anchorB || (bodyB ? bodyCenter(bodyB) : anchorA);
+  const measured = Math.hypot(anchorB.x - anchorA.x, anchorB.y - anchorA.y);
+
+  const joint = {
+    id: opts.id || `joint_${Date.now()}_${Math.random()}`,
+    type,
+    bodyA,
+    bodyB,
+    localAnchorA: toLocalAnchor(bodyA, anchorA),
+    localAnchorB: toLocalAnchor(bodyB, anchorB),
+    length: Number.isFinite(opts.length) ? Math.max(0, opts.length) : measured,
+    frequency: Number.isFinite(opts.frequency) ? opts.frequency : DEFAULT_SPRING_FREQUENCY,
+    dampingRatio: Number.isFinite(opts.dampingRatio) ? opts.dampingRatio : DEFAULT_SPRING_DAMPING,
+    referenceAngle: Number.isFinite(opts.referenceAngle)
+      ? opts.referenceAngle
+      : (bodyB?.rotation || 0) - (bodyA.rotation || 0),
+    collideConnected: Boolean(opts.collideConnected),
+    // Accumulated impulses, reused to warm start the next step
+    pointImpulse: { x: 0, y: 0 },
+    axialImpulse: 0,
+    angularImpulse: 0,
+  };
+
+  world.joints.push(joint);
+  return joint;
+}
+
+export function removeJoint(world, joint) {
+  world.joints = world.joints.filter(j => j !== joint);
+}
+
+// Drop every joint attached to a body (used when the body leaves the world)
+export function removeJointsOf(world, body) {
+  world.joints = world.joints.filter(j => j.bodyA !== body && j.bodyB !== body);
+}
+
+// World-space anchor points of a joint, e.g. for drawing it
+export function getJointAnchors(joint) {
+  return {
+    a: toWorldAnchor(joint.bodyA, joint.localAnchorA),
+    b: toWorldAnchor(joint.bodyB, joint.localAnchorB),
+  };
+}
+
+// Bodies linked by a joint that does not collide its bodies, as body -> Set
+export function buildJointFilter(joints) {
+  const linked = new Map();
+  const link = (a, b) => {
+    if (!linked.has(a)) linked.set(a, new Set());
+    linked.get(a).add(b);
+  };
+  for (const joint of joints) {
+    if (joint.collideConnected || !joint.bodyB) continue;
+    link(joint.bodyA, joint.bodyB);
+    link(joint.bodyB, joint.bodyA);
+  }
+  return linked;
+}
+
+export function serializeJoints(world, joints = world.joints) {
+  return joints.map(j => ({
+    id: j.id,
+    type: j.type,
+    bodyA: j.bodyA.id,
+    bodyB: j.bodyB ? j.bodyB.id : null,
+    localAnchorA: { ...j.localAnchorA },
+    localAnchorB: { ...j.localAnchorB },
+    length: j.length,
+    frequency: j.type === 'spring' ? j.frequency : undefined,
+    dampingRatio: j.type === 'spring' ? j.dampingRatio : undefined,
+    referenceAngle: j.type === 'weld' ? j.referenceAngle : undefined,
+    collideConnected: j.collideConnected || undefined,
+  }));
+}
+
+// Joints reference bodies by id, so bricks must be loaded first
+export function loadJoints(world, data) {
+  if (!Array.isArray(data)) return;
+  const bodiesById = new Map(world.bodies.map(body => [body.id, body]));
+
+  data.forEach(item => {
+    const bodyA = bodiesById.get(item.bodyA);
+    const bodyB = item.bodyB != null ? bodiesById.get(item.bodyB) : null;
+    if (!isJointType(item.type) || !bodyA || bodyB === undefined || bodyA === bodyB) {
+      return;
+    }
+    if (!isLocalAnchor(item.localAnchorA) || !isLocalAnchor(item.localAnchorB)) {
+      return;
+    }
+
+    const joint = createJoint(world, item.type, bodyA, bodyB, {
+      id: item.id,
+      length: item.length,
+      frequency: item.frequency,
+      dampingRatio: item.dampingRatio,
+      referenceAngle: item.referenceAngle,
+      collideConnected: item.collideConnected,
+    });
+    joint.localAnchorA = { x: item.localAnchorA.x, y: item.localAnchorA.y };
+    joint.localAnchorB = { x: item.localAnchorB.x, y: item.localAnchorB.y };
+  });
+}
+
+// Full joint state for world snapshots: the saved fields plus the accumulated
+// impulses, so a restored joint warm starts exactly like the original
+export function snapshotJoints(world, joints = world.joints) {
+  return joints.map(j => ({
+    id: j.id,
+    type: j.type,
+    bodyA: j.bodyA.id,
+    bodyB: j.bodyB ? j.bodyB.id : null,
+    localAnchorA: { ...j.localAnchorA },
+    localAnchorB: { ...j.localAnchorB },
+    length: j.length,
+    frequency: j.frequency,
+    dampingRatio: j.dampingRatio,
+    referenceAngle: j.referenceAngle,
+    collideConnected: j.collideConnected,
+    pointImpulse: { ...j.pointImpulse },
+    axialImpulse: j.axialImpulse,
+    angularImpulse: j.angularImpulse,
+  }));
+}
+
+// Replace the world's joints with the ones of a snapshot. bodiesById must
+// already hold the restored bodies
+export function restoreJoints(world, data, bodiesById) {
+  world.joints = [];
+  for (const item of data) {
+    const bodyA = bodiesById.get(item.bodyA);
+    const bodyB = item.bodyB != null ? bodiesById.get(item.bodyB) : null;
+    if (!bodyA || bodyB === undefined) continue;
+
+    world.joints.push({
+      ...item,
+      bodyA,
+      bodyB,
+      localAnchorA: { ...item.localAnchorA },
+      localAnchorB: { ...item.localAnchorB },
+      pointImpulse: { ...item.pointImpulse },
+    });
+  }
+}
+
+function isLocalAnchor(anchor) {
+  return Boolean(anchor) && Number.isFinite(anchor.x) && Number.isFinite(anchor.y);
+}
+
+function bodyCenter(body) {
+  return { x: body.x + body.w / 2, y: body.y + body.h / 2 };
+}
+
+// Inverse of toWorldAnchor; world anchors (no body) are kept as-is
+function toLocalAnchor(body, point) {
+  if (!body) return { x: point.x, y: point.y };
+  const rotation = body.rotation || 0;
+  const cos = Math.cos(-rotation);
+  const sin = Math.sin(-rotation);
+  const offsetX = (point.x - body.x) / body.w - 0.5;
+  const offsetY = (point.y - body.y) / body.h - 0.5;
+  return {
+    x: offsetX * cos - offsetY * sin + 0.5,
+    y: offsetX * sin + offsetY * cos + 0.5,
+  };
+}
+
+// Same transform as getVertices(): rotate in normalized space around (0.5, 0.5)
+function toWorldAnchor(body, local) {
+  if (!body) return { x: local.x, y: local.y };
+  const rotation = body.rotation || 0;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const offsetX = local.x - 0.5;
+  const offsetY = local.y - 0.5;
+  return {
+    x: body.x + (offsetX * cos - offsetY * sin + 0.5) * body.w,
+    y: body.y + (offsetX * sin + offsetY * cos + 0.5) * body.h,
+  };
+}
+
+function inverseMass(body) {
+  return body && !body.isStatic ? (body.invMass || 0) : 0;
+}
+
+function inverseInertia(body) {
+  return body && !body.isStatic ? (body.invInertia || 0) : 0;
+}
+
+function clampMagnitude(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+// Precompute lever arms, effective masses and spring feedback for this step,
+// then reapply last step's impulses (warm start)
+export function prepareJoints(joints, dt) {
+  for (const joint of joints) {
+    const { bodyA, bodyB } = joint;
+    const mA = inverseMass(bodyA);
+    const mB = inverseMass(bodyB);
+    const iA = inverseInertia(bodyA);
+    const iB = inverseInertia(bodyB);
+    joint.active = mA + mB + iA + iB > 0;
+    if (!joint.active) continue;
+
+    const pA = toWorldAnchor(bodyA, joint.localAnchorA);
+    const pB = toWorldAnchor(bodyB, joint.localAnchorB);
+    const cA = bodyCenter(bodyA);
+    const cB = bodyB ? bodyCenter(bodyB) : pB;
+    const rAx = pA.x - cA.x;
+    const rAy = pA.y - cA.y;
+    const rBx = pB.x - cB.x;
+    const rBy = pB.y - cB.y;
+    Object.assign(joint, { mA, mB, iA, iB, rAx, rAy, rBx, rBy });
+
+    if (joint.type === 'hinge' || joint.type === 'weld') {
+      preparePointConstraint(joint);
+    } else {
+      prepareAxialConstraint(joint, pA, pB, dt);
+    }
+
+    if (joint.type === 'weld') {
+      const angularSum = iA + iB;
+      joint.angularMass = angularSum > 0 ? 1 / angularSum : 0;
+    }
+
+    // Warm start
+    applyJointImpulse(joint, joint.pointImpulse.x + joint.axisX * joint.axialImpulse,
+      joint.pointImpulse.y + joint.axisY * joint.axialImpulse);
+    applyJointAngularImpulse(joint, joint.angularImpulse);
+  }
+}
+
+function preparePointConstraint(joint) {
+  const { mA, mB, iA, iB, rAx, rAy, rBx, rBy } = joint;
+  const k11 = mA + mB + iA * rAy * rAy + iB * rBy * rBy;
+  const k12 = -iA * rAx * rAy - iB * rBx * rBy;
+  const k22 = mA + mB + iA * rAx * rAx + iB * rBx * rBx;
+  const det = k11 * k22 - k12 * k12;
+  joint.pointMatrix = det !== 0 ? { k11, k12, k22, invDet: 1 / det } : null;
+  joint.axisX = 0;
+  joint.axisY = 0;
+  joint.axialImpulse = 0;
+}
+
+function prepareAxialConstraint(joint, pA, pB, dt) {
+  const { mA, mB, iA, iB, rAx, rAy, rBx, rBy } = joint;
+  const dx = pB.x - pA.x;
+  const dy = pB.y - pA.y;
+  const distance = Math.hypot(dx, dy);
+  const error = distance - joint.length;
+  joint.pointImpulse.x = 0;
+  joint.pointImpulse.y = 0;
+  joint.angularImpulse = 0;
+
+  // A slack rope, or anchors on top of each other, has no direction to act on
+  if (distance < 1e-6 || (joint.type === 'rope' && error <= 0)) {
+    joint.axisX = 0;
+    joint.axisY = 0;
+    joint.axialMass = 0;
+    joint.axialImpulse = 0;
+    return;
+  }
+
+  const axisX = dx / distance;
+  const axisY = dy / distance;
+  const crossA = rAx * axisY - rAy * axisX;
+  const crossB = rBx * axisY - rBy * axisX;
+  const invEffectiveMass = mA + mB + iA * crossA * crossA + iB * crossB * crossB;
+  joint.axisX = axisX;
+  joint.axisY = axisY;
+
+  if (joint.type === 'spring' && joint.frequency > 0 && invEffectiveMass > 0) {
+    // Soft constraint: turn stiffness/damping into an impulse softness (gamma)
+    // and a bias, so the spring is stable for any frequency at this time step
+    const mass = 1 / invEffectiveMass;
+    const omega = 2 * Math.PI * joint.frequency;
+    const stiffness = mass * omega * omega;
+    const damping = 2 * mass * joint.dampingRatio * omega;
+    const gamma = dt * (damping + dt * stiffness);
+    joint.gamma = gamma > 0 ? 1 / gamma : 0;
+    joint.axialBias = error * dt * stiffness * joint.gamma;
+    joint.axialMass = 1 / (invEffectiveMass + joint.gamma);
+    return;
+  }
+
+  // Rigid axes only stop the anchors' relative motion here; the drift is
+  // removed by solveJointPositions()
+  joint.gamma = 0;
+  joint.axialBias = 0;
+  joint.axialMass = invEffectiveMass > 0 ? 1 / invEffectiveMass : 0;
+}
+
+// Velocity of anchor B relative to anchor A (v + ω × r)
+function relativeAnchorVelocity(joint) {
+  const { bodyA, bodyB, rAx, rAy, rBx, rBy } = joint;
+  const wA = bodyA.angularVelocity || 0;
+  const wB = bodyB ? bodyB.angularVelocity || 0 : 0;
+  const vBx = bodyB ? (bodyB.vx || 0) - wB * rBy : 0;
+  const vBy = bodyB ? (bodyB.vy || 0) + wB * rBx : 0;
+  return {
+    x: vBx - ((bodyA.vx || 0) - wA * rAy),
+    y: vBy - ((bodyA.vy || 0) + wA * rAx),
+  };
+}
+
+// One velocity iteration over all joints
+export function solveJoints(joints) {
+  for (const joint of joints) {
+    if (!joint.active) continue;
+
+    if (joint.type === 'weld' && joint.angularMass > 0) {
+      const relativeAngular = (joint.bodyB?.angularVelocity || 0) - (joint.bodyA.angularVelocity || 0);
+      const angular = -joint.angularMass * relativeAngular;
+      joint.angularImpulse += angular;
+      applyJointAngularImpulse(joint, angular);
+    }
+
+    if (joint.type === 'hinge' || joint.type === 'weld') {
+      solvePointConstraint(joint);
+    } else {
+      solveAxialConstraint(joint);
+    }
+  }
+}
+
+function solvePointConstraint(joint) {
+  const matrix = joint.pointMatrix;
+  if (!matrix) return;
+  const relative = relativeAnchorVelocity(joint);
+  const impulseX = -(matrix.k22 * relative.x - matrix.k12 * relative.y) * matrix.invDet;
+  const impulseY = -(matrix.k11 * relative.y - matrix.k12 * relative.x) * matrix.invDet;
+  joint.pointImpulse.x += impulseX;
+  joint.pointImpulse.y += impulseY;
+  applyJointImpulse(joint, impulseX, impulseY);
+}
+
+function solveAxialConstraint(joint) {
+  if (joint.axialMass <= 0) return;
+  const relative = relativeAnchorVelocity(joint);
+  const velAlongAxis = relative.x * joint.axisX + relative.y * joint.axisY;
+  let impulse = -joint.axialMass *
+    (velAlongAxis + joint.axialBias + joint.gamma * joint.axialImpulse);
+
+  // Ropes can only pull the anchors together
+  if (joint.type === 'rope') {
+    const accumulated = Math.min(joint.axialImpulse + impulse, 0);
+    impulse = accumulated - joint.axialImpulse;
+  }
+
+  joint.axialImpulse += impulse;
+  applyJointImpulse(joint, joint.axisX * impulse, joint.axisY * impulse);
+}
+
+// Position pass: move and turn the bodies so the anchors meet again. Velocity
+// impulses alone let the joints drift a little every step under gravity.
+// Returns true when every joint is within its slop
+export function solveJointPositions(joints) {
+  let solved = true;
+  for (const joint of joints) {
+    if (!joint.active) continue;
+    if (joint.type === 'weld' && !solveWeldAngle(joint)) solved = false;
+    if (joint.type === 'spring') continue;
+
+    const { bodyA, bodyB, mA, mB, iA, iB } = joint;
+    const pA = toWorldAnchor(bodyA, joint.localAnchorA);
+    const pB = toWorldAnchor(bodyB, joint.localAnchorB);
+    const cA = bodyCenter(bodyA);
+    const cB = bodyB ? bodyCenter(bodyB) : pB;
+    const rAx = pA.x - cA.x;
+    const rAy = pA.y - cA.y;
+    const rBx = pB.x - cB.x;
+    const rBy = pB.y - cB.y;
+    let correctionX;
+    let correctionY;
+
+    if (joint.type === 'hinge' || joint.type === 'weld') {
+      correctionX = pB.x - pA.x;
+      correctionY = pB.y - pA.y;
+    } else {
+      const dx = pB.x - pA.x;
+      const dy = pB.y - pA.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance < 1e-6) continue;
+      let error = distance - joint.length;
+      if (joint.type === 'rope') error = Math.max(error, 0);
+      correctionX = (dx / distance) * error;
+      correctionY = (dy / distance) * error;
+    }
+
+    const errorLength = Math.hypot(correctionX, correctionY);
+    if (errorLength <= LINEAR_SLOP) continue;
+    solved = false;
+
+    const scale = POSITION_CORRECTION * Math.min(errorLength, MAX_LINEAR_CORRECTION) / errorLength;
+    const cx = correctionX * scale;
+    const cy = correctionY * scale;
+    const k11 = mA + mB + iA * rAy * rAy + iB * rBy * rBy;
+    const k12 = -iA * rAx * rAy - iB * rBx * rBy;
+    const k22 = mA + mB + iA * rAx * rAx + iB * rBx * rBx;
+    const det = k11 * k22 - k12 * k12;
+    if (det === 0) continue;
+
+    // Impulse-like position change that closes the gap between the anchors
+    const px = -(k22 * cx - k12 * cy) / det;
+    const py = -(k11 * cy - k12 * cx) / det;
+    if (mA || iA) {
+      bodyA.x -= px * mA;
+      bodyA.y -= py * mA;
+      bodyA.rotation = (bodyA.rotation || 0) - (rAx * py - rAy * px) * iA;
+    }
+    if (bodyB && (mB || iB)) {
+      bodyB.x += px * mB;
+      bodyB.y += py * mB;
+      bodyB.rotation = (bodyB.rotation || 0) + (rBx * py - rBy * px) * iB;
+    }
+  }
+  return solved;
+}
+
+function solveWeldAngle(joint) {
+  const { bodyA, bodyB, iA, iB } = joint;
+  if (iA + iB <= 0) return true;
+  let error = (bodyB?.rotation || 0) - (bodyA.rotation || 0) - joint.referenceAngle;
+  while (error > Math.PI) error -= 2 * Math.PI;
+  while (error < -Math.PI) error += 2 * Math.PI;
+  if (Math.abs(error) <= ANGULAR_SLOP) return true;
+
+  const correction = POSITION_CORRECTION * clampMagnitude(error, MAX_ANGULAR_CORRECTION) / (iA + iB);
+  bodyA.rotation = (bodyA.rotation || 0) + correction * iA;
+  if (bodyB) {
+    bodyB.rotation = (bodyB.rotation || 0) - correction * iB;
+  }
+  return false;
+}
+
+// The impulse acts on B and its reaction on A
+function applyJointImpulse(joint, impulseX, impulseY) {
+  if (!impulseX && !impulseY) return;
+  const { bodyA, bodyB, mA, mB, iA, iB, rAx, rAy, rBx, rBy } = joint;
+  if (mA || iA) {
+    bodyA.vx -= impulseX * mA;
+    bodyA.vy -= impulseY * mA;
+    bodyA.angularVelocity = (bodyA.angularVelocity || 0) - (rAx * impulseY - rAy * impulseX) * iA;
+  }
+  if (bodyB && (mB || iB)) {
+    bodyB.vx += impulseX * mB;
+    bodyB.vy += impulseY * mB;
+    bodyB.angularVelocity = (bodyB.angularVelocity || 0) + (rBx * impulseY - rBy * impulseX) * iB;
+  }
+}
+
+function applyJointAngularImpulse(joint, impulse) {
+  if (!impulse) return;
+  const { bodyA, bodyB, iA, iB } = joint;
+  if (iA) {
+    bodyA.angularVelocity = (bodyA.angularVelocity || 0) - impulse * iA;
+  }
+  if (bodyB && iB) {
+    bodyB.angularVelocity = (bodyB.angularVelocity || 0) + impulse * iB;
+  }
+}
@@ -0,0 +1,105 @@
+// Kinematic bodies: bricks driven along a waypoint path instead of by forces.
+// They are static for the solver (infinite mass) but carry a velocity, so
+// contacts push and drag whatever touches them.
+//
+// A path stores the positions of the brick's top-left corner; points[0] is
+// where the brick rests in the editor and where the path starts
+export const PATH_MODES = ['pingpong', 'loop', 'once'];
+
+const DEFAULT_PATH_SPEED = 120; // px/s
+const DEFAULT_PATH_OFFSET = 200; // px to the right for the second waypoint of a new path
+
+export function createPath(x, y, data = {}) {
+  const points = Array.isArray(data.points)
+    ? data.points
+      .filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))
+      .map(point => ({ x: point.x, y: point.y }))
+    : [];
+  if (points.length === 0) {
+    points.push({ x, y }, { x: x + DEFAULT_PATH_OFFSET, y });
+  }
+
+  return {
+    points,
+    speed: Number.isFinite(data.speed) && data.speed >= 0 ? data.speed : DEFAULT_PATH_SPEED,
+    mode: PATH_MODES.includes(data.mode) ? data.mode : 'pingpong',
+  };
+}
+
+export function serializePath(path) {
+  return {
+    points: path.points.map(point => ({ x: point.x, y: point.y })),
+    speed: path.speed,
+    mode: path.mode,
+  };
+}
+
+// Put the body back at the start of its path
+export function resetKinematicBody(body) {
+  const start = body.path?.points[0];
+  if (start) {
+    body.x = start.x;
+    body.y = start.y;
+  }
+  body.vx = 0;
+  body.vy = 0;
+  body.pathState = { target: 1, direction: 1, finished: false };
+}
+
+// Move the body along its path for one step and derive its velocity from the
+// displacement, so contacts see how fast it moves
+export function advanceKinematicBody(body, dt) {
+  const path = body.path;
+  if (!path || path.points.length < 2 || dt <= 0) {
+    body.vx = 0;
+    body.vy = 0;
+    return;
+  }
+  if (!body.pathState) {
+    resetKinematicBody(body);
+  }
+
+  const state = body.pathState;
+  const startX = body.x;
+  const startY = body.y;
+  let distance = path.speed * dt;
+  // Bounded so a degenerate path (all points equal) cannot spin forever
+  let guard = path.points.length * 2;
+
+  while (distance > 0 && !state.finished && guard-- > 0) {
+    const target = path.points[state.target];
+    const dx = target.x - body.x;
+    const dy = target.y - body.y;
+    const remaining = Math.hypot(dx, dy);
+
+    if (remaining > distance) {
+      body.x += (dx / remaining) * distance;
+      body.y += (dy / remaining) * distance;
+      break;
+    }
+
+    body.x = target.x;
+    body.y = target.y;
+    distance -= remaining;
+    advanceWaypoint(path, state);
+  }
+
+  body.vx = (body.x - startX) / dt;
+  body.vy = (body.y - startY) / dt;
+}
+
+function advanceWaypoint(path, state) {
+  const last = path.points.length - 1;
+  const next = state.target + state.direction;
+
+  if (next >= 0 && next <= last) {
+    state.target = next;
+  } else if (path.mode === 'loop') {
+    state.target = 0;
+  } else if (path.mode === 'pingpong') {
+    state.direction = -state.direction;
+    state.target += state.direction;
+  } else {
+    state.finished = true;
+  }
+}
@@ -0,0 +1,34 @@
+// Surface materials: named presets bundling friction, restitution and density.
+// A brick stores the preset name in `material` and the resolved values in its
+// own friction/restitution/density fields, so code can still tweak one value
+export const MATERIALS = {
+  default: { friction: 0.85, restitution: 0.3, density: 1.0 },
+  ice: { friction: 0.05, restitution: 0.1, density: 0.9 },
+  rubber: { friction: 1.0, restitution: 0.85, density: 1.2 },
+  mud: { friction: 1.6, restitution: 0.0, density: 1.6 },
+  metal: { friction: 0.4, restitution: 0.2, density: 3.0 },
+};
+
+export const DEFAULT_MATERIAL = 'default';
+
+export function getMaterial(name) {
+  return MATERIALS[name] || MATERIALS[DEFAULT_MATERIAL];
+}
+
+export function isMaterial(name) {
+  return Object.prototype.hasOwnProperty.call(MATERIALS, name);
+}
+
+// Combine rules for a contact pair. Friction uses the geometric mean, so a
+// single slippery surface is enough to slide (ice under anything stays slick).
+// Restitution takes the bouncier surface, so a rubber brick bounces whatever
+// lands on it
+export function mixFriction(a, b) {
+  const frictionA = a ?? MATERIALS[DEFAULT_MATERIAL].friction;
+  const frictionB = b ?? MATERIALS[DEFAULT_MATERIAL].friction;
+  return Math.sqrt(frictionA * frictionB);
+}
+
+export function mixRestitution(a, b) {
+  return Math.max(a ?? 0, b ?? 0);
+}
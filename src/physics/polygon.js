@@ -0,0 +1,267 @@
+// Polygon bricks: shape 'polygon' keeps its outline in `points`, normalized to
+// the brick's w/h box (0..1) exactly like the corners of the built-in shapes,
+// so rotation, resizing and rendering treat it like any other brick.
+//
+// SAT only works on convex shapes, so a concave outline is split into convex
+// parts: ear clipping triangulates it and neighbouring triangles are merged
+// back while the result stays convex (Hertel-Mehlhorn)
+export const MIN_POLYGON_POINTS = 3;
+
+const EPSILON = 1e-9;
+
+// Parts are cached per outline array, the outline is replaced (not mutated)
+// whenever a polygon changes
+const partsCache = new WeakMap();
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Twice the signed area; positive when the outline is clockwise on screen
+// (the world's y axis points down)
+function signedArea2(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area;
+}
+
+// Clean up an outline: drop invalid, repeated and collinear points and make
+// the winding clockwise. Returns null when fewer than three points remain
+export function normalizePolygonPoints(points) {
+  if (!Array.isArray(points)) return null;
+
+  let cleaned = [];
+  for (const point of points) {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) continue;
+    const last = cleaned[cleaned.length - 1];
+    if (last && Math.abs(last.x - point.x) < EPSILON && Math.abs(last.y - point.y) < EPSILON) continue;
+    cleaned.push({ x: point.x, y: point.y });
+  }
+  while (cleaned.length > 1) {
+    const first = cleaned[0];
+    const last = cleaned[cleaned.length - 1];
+    if (Math.abs(last.x - first.x) >= EPSILON || Math.abs(last.y - first.y) >= EPSILON) break;
+    cleaned.pop();
+  }
+
+  let removed = true;
+  while (removed && cleaned.length >= MIN_POLYGON_POINTS) {
+    removed = false;
+    for (let i = 0; i < cleaned.length; i++) {
+      const prev = cleaned[(i + cleaned.length - 1) % cleaned.length];
+      const next = cleaned[(i + 1) % cleaned.length];
+      if (Math.abs(cross(prev, cleaned[i], next)) < EPSILON) {
+        cleaned.splice(i, 1);
+        removed = true;
+        break;
+      }
+    }
+  }
+
+  if (cleaned.length < MIN_POLYGON_POINTS) return null;
+  if (signedArea2(cleaned) < 0) {
+    cleaned = cleaned.reverse();
+  }
+  return cleaned;
+}
+
+// Turn an outline in world coordinates into a brick box plus normalized points
+export function createPolygonFromWorldPoints(worldPoints) {
+  const points = normalizePolygonPoints(worldPoints);
+  if (!points) return null;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const point of points) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+  const w = maxX - minX;
+  const h = maxY - minY;
+  if (w <= 0 || h <= 0) return null;
+
+  return {
+    x: minX,
+    y: minY,
+    w,
+    h,
+    points: points.map(point => ({ x: (point.x - minX) / w, y: (point.y - minY) / h })),
+  };
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+// True when no two non-adjacent edges of the closed outline cross
+export function isSimplePolygon(points) {
+  const count = points.length;
+  if (count < MIN_POLYGON_POINTS) return false;
+  for (let i = 0; i < count; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % count];
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+      if (segmentsIntersect(a, b, points[j], points[(j + 1) % count])) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function isConvex(points) {
+  for (let i = 0; i < points.length; i++) {
+    const prev = points[(i + points.length - 1) % points.length];
+    const next = points[(i + 1) % points.length];
+    if (cross(prev, points[i], next) < -EPSILON) return false;
+  }
+  return true;
+}
+
+function pointInTriangle(p, a, b, c) {
+  return cross(a, b, p) >= -EPSILON && cross(b, c, p) >= -EPSILON && cross(c, a, p) >= -EPSILON;
+}
+
+// Ear clipping on a clockwise outline; returns triangles as index triples or
+// null when the outline is not simple
+function triangulate(points) {
+  const remaining = points.map((_, index) => index);
+  const triangles = [];
+  let guard = remaining.length * remaining.length;
+
+  while (remaining.length > 3 && guard-- > 0) {
+    let clipped = false;
+    for (let i = 0; i < remaining.length; i++) {
+      const prev = remaining[(i + remaining.length - 1) % remaining.length];
+      const current = remaining[i];
+      const next = remaining[(i + 1) % remaining.length];
+      const a = points[prev];
+      const b = points[current];
+      const c = points[next];
+      if (cross(a, b, c) <= EPSILON) continue;
+
+      const blocked = remaining.some(index =>
+        index !== prev && index !== current && index !== next &&
+        pointInTriangle(points[index], a, b, c));
+      if (blocked) continue;
+
+      triangles.push([prev, current, next]);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) return null;
+  }
+
+  if (remaining.length !== 3) return null;
+  triangles.push(remaining);
+  return triangles;
+}
+
+// Merge two index polygons across their shared edge, or null if they share none
+function mergeAcrossEdge(first, second) {
+  for (let i = 0; i < first.length; i++) {
+    const a = first[i];
+    const b = first[(i + 1) % first.length];
+    const j = second.indexOf(b);
+    if (j < 0 || second[(j + 1) % second.length] !== a) continue;
+
+    // first walked from b round to a, then second's vertices between a and b
+    const merged = [];
+    for (let k = 0; k < first.length; k++) {
+      merged.push(first[(i + 1 + k) % first.length]);
+    }
+    for (let k = 2; k < second.length; k++) {
+      merged.push(second[(j + k) % second.length]);
+    }
+    return merged;
+  }
+  return null;
+}
+
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const point = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+  lower.pop();
+  upper.pop();
+  return normalizePolygonPoints(lower.concat(upper)) || points;
+}
+
+// Convex parts of a (normalized, clockwise) outline. A self-intersecting
+// outline cannot be triangulated and falls back to its convex hull
+export function decomposePolygon(points) {
+  const cached = partsCache.get(points);
+  if (cached) return cached;
+
+  let parts;
+  if (isConvex(points)) {
+    parts = [points];
+  } else {
+    const triangles = triangulate(points);
+    if (!triangles) {
+      parts = [convexHull(points)];
+    } else {
+      const polygons = triangles;
+      let merged = true;
+      while (merged) {
+        merged = false;
+        for (let i = 0; i < polygons.length && !merged; i++) {
+          for (let j = i + 1; j < polygons.length && !merged; j++) {
+            const candidate = mergeAcrossEdge(polygons[i], polygons[j]);
+            if (candidate && isConvex(candidate.map(index => points[index]))) {
+              polygons[i] = candidate;
+              polygons.splice(j, 1);
+              merged = true;
+            }
+          }
+        }
+      }
+      parts = polygons.map(polygon => polygon.map(index => points[index]));
+    }
+  }
+
+  partsCache.set(points, parts);
+  return parts;
+}
+
+// Area and moment of inertia (per unit density) of the outline scaled to w x h,
+// taken about the box center, which is the rotation pivot of every brick
+export function polygonMassProperties(points, w, h) {
+  let area2 = 0;
+  let inertia = 0;
+  for (let i = 0; i < points.length; i++) {
+    const ax = (points[i].x - 0.5) * w;
+    const ay = (points[i].y - 0.5) * h;
+    const next = points[(i + 1) % points.length];
+    const bx = (next.x - 0.5) * w;
+    const by = (next.y - 0.5) * h;
+    const c = ax * by - bx * ay;
+    area2 += c;
+    inertia += c * (ax * ax + ax * bx + bx * bx + ay * ay + ay * by + by * by);
+  }
+  return { area: Math.abs(area2) / 2, inertia: Math.abs(inertia) / 12 };
+}
@@ -2,6 +2,42 @@ function colorKey(color) {
   return color.map((c) => c.toFixed(4)).join('_');
 }
 
+const CAPSULE_ARC_SEGMENTS = 16;
+
+// Polygon meshes are rebuilt whenever their outline changes, capsule meshes
+// whenever their proportions do (the ends must stay round once scaled)
+function outlineKey(drawable) {
+  if (drawable.shape === 'capsule') {
+    return (drawable.w / Math.max(drawable.h, 0.0001)).toFixed(3);
+  }
+  if (drawable.shape !== 'polygon' || !Array.isArray(drawable.points)) {
+    return '';
+  }
+  return drawable.points.map((point) => `${point.x.toFixed(4)},${point.y.toFixed(4)}`).join(';');
+}
+
+// Stadium outline in the 0..1 box: half discs of radius min(w, h) / 2 at both
+// ends of the longer side, matching the physics capsule
+function capsuleOutline(w, h) {
+  const radius = Math.min(w, h) / 2;
+  const horizontal = w >= h;
+  const halfLength = (Math.max(w, h) - 2 * radius) / 2;
+  const points = [];
+  [1, -1].forEach((side) => {
+    const centerX = horizontal ? w / 2 + side * halfLength : w / 2;
+    const centerY = horizontal ? h / 2 : h / 2 + side * halfLength;
+    const startAngle = horizontal ? -Math.PI / 2 + (side < 0 ? Math.PI : 0) : (side < 0 ? Math.PI : 0);
+    for (let i = 0; i <= CAPSULE_ARC_SEGMENTS; i += 1) {
+      const angle = startAngle + (i / CAPSULE_ARC_SEGMENTS) * Math.PI;
+      points.push({
+        x: (centerX + Math.cos(angle) * radius) / w,
+        y: (centerY + Math.sin(angle) * radius) / h,
+      });
+    }
+  });
+  return points;
+}
+
 function cloneDrawables(drawables) {
   return drawables.map((drawable) => ({
     ...drawable,
@@ -30,6 +66,9 @@ export class BabylonRenderer {
     this.canvas = canvas;
     this.virtualWidth = virtualWidth || 1920;
     this.virtualHeight = virtualHeight || 1080;
+    this.levelWidth = this.virtualWidth;
+    this.levelHeight = this.virtualHeight;
+    this.playCameraOffset = { x: 0, y: 0 };
     this.engine = null;
     this.engineType = 'webgl';
     this.scene = null;
@@ -67,7 +106,8 @@ export class BabylonRenderer {
   }
 
   getMaxEditCameraDistance() {
-    return Math.max(this.canvasWidth, this.canvasHeight) * 8;
+    const levelSpan = Math.max(this.levelWidth * this.scaleX, this.levelHeight * this.scaleY);
+    return Math.max(this.canvasWidth, this.canvasHeight, levelSpan) * 8;
   }
 
   async detectWebGpuSupport(BABYLON) {
@@ -215,6 +255,7 @@ export class BabylonRenderer {
     this.editOrbitYaw = EDIT_VIEW_PRESETS.iso.yaw;
     this.editOrbitPitch = EDIT_VIEW_PRESETS.iso.pitch;
     this.editTargetWorldOffset = { x: 0, y: 0 };
+    this.playCameraOffset = { x: 0, y: 0 };
     this.contextLost = false;
     this.lastSyncedDrawables = [];
   }
@@ -270,6 +311,35 @@ export class BabylonRenderer {
     this.camera.orthoBottom = -halfH;
     this.camera.orthoTop = halfH;
 
+    if (this.mode === 'play') {
+      this.updatePlayCamera();
+    }
+    this.updateEditBackground();
+  }
+
+  // Levels larger than the screen: the play camera looks at the part of the
+  // level whose top-left corner is (x, y) in world px
+  setPlayCamera(x, y) {
+    this.playCameraOffset.x = Number.isFinite(x) ? x : 0;
+    this.playCameraOffset.y = Number.isFinite(y) ? y : 0;
+    if (this.mode === 'play') {
+      this.updatePlayCamera();
+    }
+  }
+
+  updatePlayCamera() {
+    if (!this.camera) return;
+    const { BABYLON } = window;
+    const x = this.playCameraOffset.x * this.scaleX;
+    const y = -this.playCameraOffset.y * this.scaleY;
+    this.camera.position = new BABYLON.Vector3(x, y, -1000);
+    this.camera.setTarget(new BABYLON.Vector3(x, y, 0));
+  }
+
+  // The edit grid and zoom range cover the whole level
+  setLevelSize(width, height) {
+    this.levelWidth = Math.max(this.virtualWidth, width || 0);
+    this.levelHeight = Math.max(this.virtualHeight, height || 0);
     this.updateEditBackground();
   }
 
@@ -322,7 +392,11 @@ export class BabylonRenderer {
       const key = drawable.id || `anon_${index}`;
       let mesh = this.meshPool.get(key);
 
-      if (!mesh || mesh.metadata?.shape !== drawable.shape) {
+      if (
+        !mesh ||
+        mesh.metadata?.shape !== drawable.shape ||
+        mesh.metadata?.outlineKey !== outlineKey(drawable)
+      ) {
         mesh?.dispose();
         mesh = this.createMesh(key, drawable);
         this.meshPool.set(key, mesh);
@@ -569,6 +643,16 @@ export class BabylonRenderer {
         vertexData.applyToMesh(mesh, true);
         break;
       }
+      case 'polygon': {
+        mesh = new BABYLON.Mesh(name, this.scene);
+        this.buildPolygonVertexData(drawable.points || []).applyToMesh(mesh, true);
+        break;
+      }
+      case 'capsule': {
+        mesh = new BABYLON.Mesh(name, this.scene);
+        this.buildPolygonVertexData(capsuleOutline(drawable.w, drawable.h)).applyToMesh(mesh, true);
+        break;
+      }
       case 'rect':
       default:
         mesh = BABYLON.MeshBuilder.CreatePlane(name, {
@@ -579,7 +663,7 @@ export class BabylonRenderer {
     }
 
     const baseRotation = 0; // All meshes are authored in their canonical orientation
-    mesh.metadata = { shape: drawable.shape, baseRotation };
+    mesh.metadata = { shape: drawable.shape, outlineKey: outlineKey(drawable), baseRotation };
     mesh.alwaysSelectAsActiveMesh = true;
     mesh.material = this.getMaterial(drawable.color || [1, 1, 1, 1]);
     mesh.billboardMode = BABYLON.AbstractMesh.BILLBOARDMODE_NONE;
@@ -589,6 +673,38 @@ export class BabylonRenderer {
     return mesh;
   }
 
+  // Outline normalized to the brick box (0..1), centered like the triangle mesh
+  // and triangulated with earcut so concave polygons fill correctly
+  buildPolygonVertexData(points) {
+    const { BABYLON } = window;
+    const flat = [];
+    points.forEach((point) => {
+      flat.push(point.x - 0.5, point.y - 0.5);
+    });
+
+    let indices = [];
+    if (typeof window.earcut === 'function') {
+      indices = window.earcut(flat);
+    } else {
+      // Sin earcut solo se puede abanicar desde el primer vértice (correcto para convexos)
+      for (let i = 1; i < points.length - 1; i += 1) {
+        indices.push(0, i, i + 1);
+      }
+    }
+
+    const vertexData = new BABYLON.VertexData();
+    vertexData.positions = [];
+    vertexData.uvs = [];
+    vertexData.normals = [];
+    points.forEach((point) => {
+      vertexData.positions.push(point.x - 0.5, point.y - 0.5, 0);
+      vertexData.uvs.push(point.x, point.y);
+      vertexData.normals.push(0, 0, 1);
+    });
+    vertexData.indices = indices;
+    return vertexData;
+  }
+
   applyDrawable(mesh, drawable) {
     const color = drawable.color || [1, 1, 1, 1];
     const key = colorKey(color);
@@ -623,6 +739,9 @@ export class BabylonRenderer {
     mesh.scaling.z = 1;
 
     mesh.renderingGroupId = drawable.layer === 'overlay' ? 1 : 0;
+    // Fading goes through the mesh, not the color, so a fade does not create
+    // a material per step
+    mesh.visibility = Number.isFinite(drawable.opacity) ? drawable.opacity : 1;
   }
 
   getMaterial(color) {
@@ -705,8 +824,8 @@ export class BabylonRenderer {
 
   updateEditBackground() {
     if (!this.editBackground) return;
-    const spanX = Math.max(this.canvasWidth, this.virtualWidth * this.scaleX) * 6;
-    const spanY = Math.max(this.canvasHeight, this.virtualHeight * this.scaleY) * 6;
+    const spanX = Math.max(this.canvasWidth, this.levelWidth * this.scaleX) * 6;
+    const spanY = Math.max(this.canvasHeight, this.levelHeight * this.scaleY) * 6;
     this.editBackground.scaling.x = spanX;
     this.editBackground.scaling.y = spanY;
     this.editBackground.position.x = this.editTargetWorldOffset.x * this.scaleX;
@@ -764,8 +883,7 @@ export class BabylonRenderer {
       }
     } else {
       this.camera.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
-      this.camera.position = new BABYLON.Vector3(0, 0, -1000);
-      this.camera.setTarget(BABYLON.Vector3.Zero());
+      this.updatePlayCamera();
       this.camera.upVector = new BABYLON.Vector3(0, 1, 0);
       this.camera.minZ = 0.1;
       this.camera.maxZ = 8000;
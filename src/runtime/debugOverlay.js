@@ -0,0 +1,147 @@
+import { getColliderOutlines, getBroadphaseCells } from '../physics/index.js';
+
+// Physics debug layer: collider outlines as the narrowphase sees them, contact
+// points and normals, velocities, occupied broadphase cells and ground state.
+// Everything is drawn on the overlay layer so it stays on top of the scene
+const OUTLINE_THICKNESS = 1.5;
+const CONTACT_POINT_SIZE = 6;
+const NORMAL_LENGTH = 24;
+const NORMAL_THICKNESS = 2;
+const VELOCITY_SCALE = 0.1; // Seconds of motion shown by a velocity vector
+const MIN_DRAWN_SPEED = 5; // px/s below which no velocity vector is drawn
+const VELOCITY_THICKNESS = 2;
+const GROUND_MARKER_SIZE = 8;
+const CELL_ALPHA_STEP = 0.06; // Cell opacity added per body in it
+const CELL_MAX_ALPHA = 0.3;
+
+const COLORS = {
+  static: [0.7, 0.7, 0.7, 0.9],
+  kinematic: [0.3, 0.8, 1.0, 0.9],
+  dynamic: [0.3, 1.0, 0.4, 0.9],
+  sleeping: [0.55, 0.6, 1.0, 0.9],
+  sensor: [1.0, 0.9, 0.2, 0.7],
+  contact: [1.0, 0.2, 0.2, 1.0],
+  normal: [1.0, 0.5, 0.1, 1.0],
+  velocity: [1.0, 0.3, 1.0, 1.0],
+  grounded: [0.3, 1.0, 0.4, 1.0],
+  airborne: [1.0, 0.3, 0.3, 1.0],
+  collisionBox: [1.0, 0.0, 0.0, 0.3],
+  cell: [0.4, 0.6, 1.0],
+};
+
+function outlineColor(body) {
+  if (body.isSensor) return COLORS.sensor;
+  if (body.isKinematic) return COLORS.kinematic;
+  if (body.isStatic) return COLORS.static;
+  return body.isSleeping ? COLORS.sleeping : COLORS.dynamic;
+}
+
+// Thin rotated rect between two points
+function segment(id, from, to, thickness, color, depthIndex) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  return {
+    id,
+    x: (from.x + to.x) / 2 - length / 2,
+    y: (from.y + to.y) / 2 - thickness / 2,
+    w: length,
+    h: thickness,
+    shape: 'rect',
+    color,
+    rotation: Math.atan2(to.y - from.y, to.x - from.x),
+    layer: 'overlay',
+    depthIndex,
+  };
+}
+
+function marker(id, point, size, shape, color, depthIndex) {
+  return {
+    id,
+    x: point.x - size / 2,
+    y: point.y - size / 2,
+    w: size,
+    h: size,
+    shape,
+    color,
+    rotation: 0,
+    layer: 'overlay',
+    depthIndex,
+  };
+}
+
+export function buildDebugDrawables(world, { editMode = false, characters = [] } = {}) {
+  const drawables = [];
+  const depthOf = (body) => (editMode ? body?.z ?? 0 : 0);
+
+  // Broadphase cells inside the level, darker the more bodies they hold
+  getBroadphaseCells(world).forEach((cell) => {
+    if (cell.maxX < 0 || cell.minX > world.width || cell.maxY < 0 || cell.minY > world.height) {
+      return;
+    }
+    const alpha = Math.min(CELL_MAX_ALPHA, cell.count * CELL_ALPHA_STEP);
+    drawables.push({
+      id: `debug_cell_${cell.minX}_${cell.minY}`,
+      x: cell.minX,
+      y: cell.minY,
+      w: cell.maxX - cell.minX,
+      h: cell.maxY - cell.minY,
+      shape: 'rect',
+      color: [...COLORS.cell, alpha],
+      rotation: 0,
+      layer: 'overlay',
+      depthIndex: 0,
+    });
+  });
+
+  [world.floor, ...world.bodies].forEach((body) => {
+    if (!body) return;
+    const depthIndex = depthOf(body);
+    const color = outlineColor(body);
+
+    getColliderOutlines(body).forEach((outline, partIndex) => {
+      outline.forEach((from, index) => {
+        const to = outline[(index + 1) % outline.length];
+        drawables.push(segment(`debug_outline_${body.id}_${partIndex}_${index}`, from, to, OUTLINE_THICKNESS, color, depthIndex));
+      });
+    });
+
+    if (body.isStatic) return;
+    const center = { x: body.x + body.w / 2, y: body.y + body.h / 2 };
+    const speed = Math.hypot(body.vx, body.vy);
+    if (speed >= MIN_DRAWN_SPEED) {
+      const tip = { x: center.x + body.vx * VELOCITY_SCALE, y: center.y + body.vy * VELOCITY_SCALE };
+      drawables.push(segment(`debug_velocity_${body.id}`, center, tip, VELOCITY_THICKNESS, COLORS.velocity, depthIndex));
+    }
+    drawables.push(marker(
+      `debug_ground_${body.id}`,
+      center,
+      GROUND_MARKER_SIZE,
+      'circle',
+      body.onGround ? COLORS.grounded : COLORS.airborne,
+      depthIndex,
+    ));
+  });
+
+  // Collision boxes of the animated characters (their AABB, not the capsule)
+  characters.forEach((character) => {
+    const box = character.getCollisionBox();
+    drawables.push({
+      id: `debug_box_${character.id}`,
+      ...box,
+      color: COLORS.collisionBox,
+      layer: 'overlay',
+      depthIndex: editMode ? -1 : 0,
+    });
+  });
+
+  // Contact manifolds from the last step: points, and the normal (from B to A)
+  world.contacts.forEach((contact, key) => {
+    const depthIndex = depthOf(contact.bodyA);
+    contact.points.forEach((point, index) => {
+      drawables.push(marker(`debug_contact_${key}_${index}`, point, CONTACT_POINT_SIZE, 'rect', COLORS.contact, depthIndex));
+      const tip = { x: point.x + contact.normal.x * NORMAL_LENGTH, y: point.y + contact.normal.y * NORMAL_LENGTH };
+      drawables.push(segment(`debug_normal_${key}_${index}`, point, tip, NORMAL_THICKNESS, COLORS.normal, depthIndex));
+    });
+  });
+
+  return drawables;
+}
@@ -1,31 +1,81 @@
 import { Player } from '../gameplay/player.js';
 import {
   createWorld,
+  addBody,
+  removeBody,
+  removeBrick,
   step,
-  loadBricks,
-  serializeBricks,
+  applyZoneForces,
+  loadLevel,
+  serializeLevel,
+  getJointAnchors,
+  resetKinematicBodies,
+  resetBreakableBricks,
+  storeAuthoredPoses,
+  resetDynamicBody,
+  resetDynamicBodies,
+  wakeAllBodies,
+  snapshotWorld,
+  restoreWorld,
 } from '../physics/index.js';
 import { BabylonRenderer } from '../renderer/babylon/renderer.js';
+import { buildDebugDrawables } from './debugOverlay.js';
+import { INPUT_ACTIONS, InputBindings } from './input.js';
 import {
   VIRTUAL_WIDTH,
   VIRTUAL_HEIGHT,
   FIXED_DELTA,
   MAX_DELTA,
-  FLOOR_HEIGHT,
 } from '../core/constants.js';
 
+const SENSOR_ALPHA = 0.3;
+const FLUID_ALPHA = 0.5;
+const ONE_WAY_EDGE_THICKNESS = 5;
+const ONE_WAY_EDGE_COLOR = [1.0, 1.0, 1.0, 0.75];
+const SLEEP_BADGE_SIZE = 10;
+const SLEEP_BADGE_COLOR = [0.55, 0.6, 1.0, 0.9];
+const FRAGMENT_FADE_TIME = 1; // Seconds a fragment takes to fade out before it is removed
+const DAMAGE_DARKEN = 0.5; // How much darker a breakable brick is just before it breaks
+const FLOOR_COLOR = [0.3, 0.3, 0.3, 1.0];
+const LEVEL_EDGE_THICKNESS = 6;
+const LEVEL_EDGE_COLORS = {
+  wall: [0.9, 0.9, 0.9, 0.8],
+  ceiling: [0.9, 0.9, 0.9, 0.8],
+  wrap: [0.3, 0.7, 1.0, 0.8],
+  open: [0.6, 0.6, 0.6, 0.3],
+  kill: [1.0, 0.25, 0.25, 0.8],
+};
+const CAMERA_FOLLOW_SPEED = 8; // 1/s, how fast the view catches up with the player
+const CAMERA_SNAP_DISTANCE = VIRTUAL_WIDTH / 2; // Jumps further than this (wrap, respawn) are not smoothed
+const JOINT_THICKNESS = 4;
+const JOINT_PIN_SIZE = 10;
+const JOINT_COLORS = {
+  hinge: [0.95, 0.95, 0.95, 1.0],
+  distance: [0.75, 0.75, 0.8, 1.0],
+  spring: [0.3, 0.9, 0.5, 1.0],
+  rope: [0.6, 0.45, 0.25, 1.0],
+  weld: [1.0, 0.6, 0.2, 1.0],
+};
+
 export class GameRuntime {
   constructor(canvas) {
     this.canvas = canvas;
     this.world = createWorld(VIRTUAL_WIDTH, VIRTUAL_HEIGHT);
-    this.player = new Player(100, 100);
-    this.world.bodies.push(this.player);
-
-    this.keys = {};
+    this.spawnPoint = { x: 100, y: 100 }; // Where the player reappears after falling out of the level
+    this.player = new Player(this.spawnPoint.x, this.spawnPoint.y);
+    addBody(this.world, this.player);
+    this.camera = { x: 0, y: 0 }; // Top-left of the visible part of the level
+    this.levelSize = { width: VIRTUAL_WIDTH, height: VIRTUAL_HEIGHT };
+
+    this.keys = {}; // Raw key state by KeyboardEvent.code
+    this.inputBindings = new InputBindings().load(); // Keys -> actions for the player
+    this.inputSources = new Map(); // Other devices (gamepad...) -> their current actions
     this.drawables = [];
     this.accumulator = 0;
     this.isEditMode = false;
+    this.debugOverlay = false; // Physics debug layer, see debugOverlay.js
     this.activeEditLayer = 0;
+    this.listeners = new Map(); // event type -> Set of handlers
 
     this.renderer = new BabylonRenderer(canvas, {
       virtualWidth: VIRTUAL_WIDTH,
@@ -36,6 +86,12 @@ export class GameRuntime {
   async initialize() {
     await this.renderer.initialize();
     this.loadPersistedBricks();
+    // The game starts in play mode: dynamic bricks start from the saved level
+    storeAuthoredPoses(this.world);
+    // Key labels for the current layout arrive later, when the browser has them
+    this.inputBindings.loadKeyboardLayout().then(() => {
+      this.emit('inputBindingsChange', { bindings: this.inputBindings });
+    });
   }
 
   dispose() {
@@ -58,9 +114,123 @@ export class GameRuntime {
     return MAX_DELTA;
   }
 
+  getInputBindings() {
+    return this.inputBindings;
+  }
+
+  // Rebind one of an action's key slots (null clears it); the bindings are
+  // saved to storage
+  setInputBinding(action, slot, code) {
+    if (code) {
+      this.inputBindings.bind(action, slot, code);
+    } else {
+      this.inputBindings.unbind(action, slot);
+    }
+    this.emit('inputBindingsChange', { bindings: this.inputBindings });
+  }
+
+  resetInputBindings() {
+    this.inputBindings.reset();
+    this.emit('inputBindingsChange', { bindings: this.inputBindings });
+  }
+
+  // Actions from a device other than the keyboard, by source name ('gamepad');
+  // null removes the source. They are merged with the keys on every update
+  setInputSource(source, actions) {
+    if (actions) {
+      this.inputSources.set(source, actions);
+    } else {
+      this.inputSources.delete(source);
+    }
+  }
+
+  // Keyboard actions OR'd with every other source; the analog moveX keeps the
+  // value furthest from the center
+  getPlayerActions() {
+    const actions = { ...this.inputBindings.getActions(this.keys), moveX: 0 };
+    this.inputSources.forEach((source) => {
+      INPUT_ACTIONS.forEach((action) => {
+        actions[action] = actions[action] || Boolean(source[action]);
+      });
+      if (Number.isFinite(source.moveX) && Math.abs(source.moveX) > Math.abs(actions.moveX)) {
+        actions.moveX = source.moveX;
+      }
+    });
+    return actions;
+  }
+
+  // Subscribe to world events raised by the physics step ('sensorEnter',
+  // 'sensorStay', 'sensorExit', 'contactBegin', 'contactPersist',
+  // 'contactEnd', 'outOfBounds', 'brickDamage', 'brickBreak', 'brickRespawn')
+  // or to 'debugOverlayChange' and 'inputBindingsChange'. Returns a function
+  // that unsubscribes
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.listeners.get(type)?.delete(handler);
+  }
+
+  emit(type, event) {
+    const handlers = this.listeners.get(type);
+    if (!handlers) return;
+    [...handlers].forEach((handler) => {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error(`Error in '${type}' handler:`, e);
+      }
+    });
+  }
+
+  dispatchWorldEvents() {
+    this.world.events.forEach((event) => this.emit(event.type, event));
+  }
+
+  // Below a kill plane the player starts over at the spawn point and dynamic
+  // bricks of the level go back to where they were placed (removing them
+  // would drop them from the next save). Only what was spawned during play,
+  // such as fragments, is removed once the listeners have seen it
+  handleOutOfBounds() {
+    this.world.events.forEach((event) => {
+      if (event.type !== 'outOfBounds') return;
+      const { body } = event;
+      if (body === this.player) {
+        this.respawnPlayer();
+        return;
+      }
+      if (resetDynamicBody(this.world, body, { wake: true })) return;
+      if (this.world.bricks.includes(body)) {
+        removeBrick(this.world, body);
+      } else if (this.world.bodies.includes(body)) {
+        removeBody(this.world, body);
+      }
+    });
+  }
+
+  respawnPlayer() {
+    this.player.x = this.spawnPoint.x;
+    this.player.y = this.spawnPoint.y;
+    this.player.vx = 0;
+    this.player.vy = 0;
+  }
+
   handleKeyDown(event, isEditMode) {
+    if (event.code === 'F3' && !event.repeat) {
+      event.preventDefault();
+      this.toggleDebugOverlay();
+      return;
+    }
     this.keys[event.code] = true;
-    if (event.code === 'Space' && !isEditMode) {
+    // Game keys must not scroll the page or press focused buttons, but text
+    // fields keep working
+    const typing = event.target instanceof HTMLInputElement && event.target.type === 'text';
+    if (!isEditMode && !typing && this.inputBindings.isBound(event.code)) {
       event.preventDefault();
     }
   }
@@ -69,20 +239,85 @@ export class GameRuntime {
     this.keys[event.code] = false;
   }
 
+  // Colliders, contacts, velocities, broadphase cells and ground state drawn
+  // over the scene, in play and edit mode
+  setDebugOverlay(value) {
+    this.debugOverlay = Boolean(value);
+    this.emit('debugOverlayChange', { enabled: this.debugOverlay });
+    return this.debugOverlay;
+  }
+
+  toggleDebugOverlay() {
+    return this.setDebugOverlay(!this.debugOverlay);
+  }
+
+  isDebugOverlayEnabled() {
+    return this.debugOverlay;
+  }
+
   update(dt, isEditMode) {
     this.isEditMode = Boolean(isEditMode);
     if (isEditMode) {
       return;
     }
 
-    this.player.input(this.keys);
+    this.player.input(this.getPlayerActions());
 
     this.accumulator += dt;
     while (this.accumulator >= FIXED_DELTA) {
       this.player.update(this.world, FIXED_DELTA);
+      // Wind and attractor zones push like any other external force, once per
+      // fixed step so they stay frame-rate independent
+      applyZoneForces(this.world);
       step(this.world, FIXED_DELTA);
+      this.dispatchWorldEvents();
+      this.handleOutOfBounds();
       this.accumulator -= FIXED_DELTA;
     }
+
+    this.updateCamera(dt);
+  }
+
+  // The view follows the player without leaving the level. Levels no larger
+  // than the screen never scroll
+  updateCamera(dt, { snap = false } = {}) {
+    const { width, height } = this.world;
+    const targetX = Math.min(
+      Math.max(this.player.x + this.player.w / 2 - VIRTUAL_WIDTH / 2, 0),
+      Math.max(width - VIRTUAL_WIDTH, 0),
+    );
+    const targetY = Math.min(
+      Math.max(this.player.y + this.player.h / 2 - VIRTUAL_HEIGHT / 2, 0),
+      Math.max(height - VIRTUAL_HEIGHT, 0),
+    );
+    const distance = Math.hypot(targetX - this.camera.x, targetY - this.camera.y);
+    if (snap || distance > CAMERA_SNAP_DISTANCE) {
+      this.camera.x = targetX;
+      this.camera.y = targetY;
+    } else {
+      const t = 1 - Math.exp(-CAMERA_FOLLOW_SPEED * dt);
+      this.camera.x += (targetX - this.camera.x) * t;
+      this.camera.y += (targetY - this.camera.y) * t;
+    }
+    this.renderer.setPlayCamera(this.camera.x, this.camera.y);
+  }
+
+  // Whole game state (quick-save, rewind, reproducible bug reports): the
+  // world, the player's timers and the frame time not yet simulated. Feeding
+  // the same keys and frame deltas after restore() replays the run exactly
+  snapshot() {
+    return {
+      world: snapshotWorld(this.world),
+      player: this.player.getState(),
+      accumulator: this.accumulator,
+    };
+  }
+
+  restore(state) {
+    restoreWorld(this.world, state.world);
+    this.player.setState(state.player);
+    this.accumulator = state.accumulator || 0;
+    this.updateCamera(0, { snap: true });
   }
 
   buildDrawables(overlays = []) {
@@ -99,6 +334,13 @@ export class GameRuntime {
       if (typeof body.z !== 'number') {
         body.z = 0;
       }
+      // Sensors are invisible while playing and translucent volumes in edit
+      // mode. Fluids are sensors too, but always drawn tinted with their color
+      if (body.isSensor && !body.fluid && !editMode) {
+        return;
+      }
+      const color = this.getBrickColor(body);
+      const alpha = body.fluid ? FLUID_ALPHA : SENSOR_ALPHA;
       drawables.push({
         id: body.id || `brick_${brickIndex}`,
         x: body.x,
@@ -106,11 +348,52 @@ export class GameRuntime {
         w: body.w,
         h: body.h,
         shape: body.shape || 'rect',
-        color: body.color || [0.8, 0.4, 0.2, 1.0],
+        points: body.points,
+        color: body.isSensor ? [color[0], color[1], color[2], alpha] : color,
+        // Fragments of broken bricks fade out before they are removed
+        opacity: body.fragment
+          ? Math.min(1, Math.max(0, (body.fragment.lifetime - body.fragment.age) / FRAGMENT_FADE_TIME))
+          : 1,
         rotation: body.rotation || 0,
         layer: 'world',
         depthIndex: editMode ? body.z ?? 0 : 0,
       });
+
+      // One-way bricks get a light strip along their solid (top) edge
+      if (body.oneWay) {
+        const rotation = body.rotation || 0;
+        const offset = body.h / 2 - ONE_WAY_EDGE_THICKNESS / 2;
+        const centerX = body.x + body.w / 2 + Math.sin(rotation) * offset;
+        const centerY = body.y + body.h / 2 - Math.cos(rotation) * offset;
+        drawables.push({
+          id: `${body.id || `brick_${brickIndex}`}_oneway`,
+          x: centerX - body.w / 2,
+          y: centerY - ONE_WAY_EDGE_THICKNESS / 2,
+          w: body.w,
+          h: ONE_WAY_EDGE_THICKNESS,
+          shape: 'rect',
+          color: ONE_WAY_EDGE_COLOR,
+          rotation,
+          layer: 'world',
+          depthIndex: editMode ? (body.z ?? 0) - 0.05 : 0,
+        });
+      }
+
+      // Edit mode marks the bricks that were asleep when play stopped
+      if (editMode && body.isSleeping) {
+        drawables.push({
+          id: `${body.id || `brick_${brickIndex}`}_sleep`,
+          x: body.x + body.w / 2 - SLEEP_BADGE_SIZE / 2,
+          y: body.y + body.h / 2 - SLEEP_BADGE_SIZE / 2,
+          w: SLEEP_BADGE_SIZE,
+          h: SLEEP_BADGE_SIZE,
+          shape: 'circle',
+          color: SLEEP_BADGE_COLOR,
+          rotation: 0,
+          layer: 'world',
+          depthIndex: (body.z ?? 0) - 0.05,
+        });
+      }
     });
 
     this.world.bodies.forEach((body) => {
@@ -130,6 +413,8 @@ export class GameRuntime {
       });
     });
 
+    drawables.push(...this.buildJointDrawables(editMode));
+
     const playerDrawables = this.player.toDrawable().map((item, index) => ({
       ...item,
       id: `player_${index}`,
@@ -138,18 +423,30 @@ export class GameRuntime {
     }));
     drawables.push(...playerDrawables);
 
-    drawables.push({
-      id: 'floor',
-      x: 0,
-      y: VIRTUAL_HEIGHT - FLOOR_HEIGHT,
-      w: VIRTUAL_WIDTH,
-      h: FLOOR_HEIGHT,
-      shape: 'rect',
-      color: [0.3, 0.3, 0.3, 1.0],
-      rotation: 0,
-      layer: 'world',
-      depthIndex: editMode ? maxBrickLayer + 2 : 0,
-    });
+    this.syncLevelSize();
+    const { floor } = this.world;
+    if (floor) {
+      drawables.push({
+        id: 'floor',
+        x: 0,
+        y: floor.y,
+        w: this.world.width,
+        h: this.world.settings.floorHeight,
+        shape: 'rect',
+        color: FLOOR_COLOR,
+        rotation: 0,
+        layer: 'world',
+        depthIndex: editMode ? maxBrickLayer + 2 : 0,
+      });
+    }
+
+    if (editMode) {
+      drawables.push(...this.buildLevelEdgeDrawables(maxBrickLayer + 2));
+    }
+
+    if (this.debugOverlay) {
+      drawables.push(...buildDebugDrawables(this.world, { editMode, characters: [this.player] }));
+    }
 
     overlays.forEach((overlay, index) => {
       drawables.push({
@@ -166,6 +463,98 @@ export class GameRuntime {
     return drawables;
   }
 
+  // Breakable bricks darken as they lose health
+  getBrickColor(body) {
+    const color = body.color || [0.8, 0.4, 0.2, 1.0];
+    if (!body.breakable || body.hitPoints >= body.breakable.health) {
+      return color;
+    }
+    const shade = 1 - DAMAGE_DARKEN * (1 - body.hitPoints / body.breakable.health);
+    return [color[0] * shade, color[1] * shade, color[2] * shade, color[3] ?? 1];
+  }
+
+  // Edit mode outlines the level, each edge colored by what it does (see
+  // BOUND_MODES): walls and ceiling white, wrap-around blue, kill plane red
+  buildLevelEdgeDrawables(depthIndex) {
+    const { width, height, settings } = this.world;
+    const half = LEVEL_EDGE_THICKNESS / 2;
+    const edge = (id, x, y, w, h, mode) => ({
+      id: `level_edge_${id}`,
+      x,
+      y,
+      w,
+      h,
+      shape: 'rect',
+      color: LEVEL_EDGE_COLORS[mode] || LEVEL_EDGE_COLORS.open,
+      rotation: 0,
+      layer: 'world',
+      depthIndex,
+    });
+    const top = settings.bounds.y === 'kill' ? 'open' : settings.bounds.y;
+    const bottom = settings.bounds.y === 'ceiling' ? 'open' : settings.bounds.y;
+    return [
+      edge('left', -half, 0, LEVEL_EDGE_THICKNESS, height, settings.bounds.x),
+      edge('right', width - half, 0, LEVEL_EDGE_THICKNESS, height, settings.bounds.x),
+      edge('top', 0, -half, width, LEVEL_EDGE_THICKNESS, top),
+      edge('bottom', 0, height - half, width, LEVEL_EDGE_THICKNESS, bottom),
+    ];
+  }
+
+  // The renderer's edit grid and zoom range follow the level size, which the
+  // editor may change at any time
+  syncLevelSize() {
+    const { width, height } = this.world;
+    if (this.levelSize.width === width && this.levelSize.height === height) return;
+    this.levelSize = { width, height };
+    this.renderer.setLevelSize(width, height);
+    this.updateCamera(0, { snap: true });
+  }
+
+  // Distance, spring and rope joints are drawn as a bar between their anchors;
+  // in edit mode hinge and weld pivots get a pin so they can be found
+  buildJointDrawables(editMode) {
+    const drawables = [];
+
+    this.world.joints.forEach((joint) => {
+      const { a, b } = getJointAnchors(joint);
+      const color = JOINT_COLORS[joint.type] || JOINT_COLORS.distance;
+      const depthIndex = editMode ? (joint.bodyA.z ?? 0) - 0.1 : 0;
+
+      if (joint.type === 'hinge' || joint.type === 'weld') {
+        if (!editMode) return;
+        drawables.push({
+          id: `joint_${joint.id}`,
+          x: a.x - JOINT_PIN_SIZE / 2,
+          y: a.y - JOINT_PIN_SIZE / 2,
+          w: JOINT_PIN_SIZE,
+          h: JOINT_PIN_SIZE,
+          shape: joint.type === 'hinge' ? 'circle' : 'rect',
+          color,
+          rotation: 0,
+          layer: 'world',
+          depthIndex,
+        });
+        return;
+      }
+
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      drawables.push({
+        id: `joint_${joint.id}`,
+        x: (a.x + b.x) / 2 - length / 2,
+        y: (a.y + b.y) / 2 - JOINT_THICKNESS / 2,
+        w: length,
+        h: JOINT_THICKNESS,
+        shape: 'rect',
+        color,
+        rotation: Math.atan2(b.y - a.y, b.x - a.x),
+        layer: 'world',
+        depthIndex,
+      });
+    });
+
+    return drawables;
+  }
+
   render() {
     this.renderer.render();
   }
@@ -196,12 +585,12 @@ export class GameRuntime {
     }
 
     const rect = this.canvas.getBoundingClientRect();
-    const x = ((clientX - rect.left) / rect.width) * VIRTUAL_WIDTH;
-    const y = ((clientY - rect.top) / rect.height) * VIRTUAL_HEIGHT;
+    const x = ((clientX - rect.left) / rect.width) * VIRTUAL_WIDTH + this.camera.x;
+    const y = ((clientY - rect.top) / rect.height) * VIRTUAL_HEIGHT + this.camera.y;
     return { x, y, z: this.activeEditLayer };
   }
 
-  composeHud({ dt, editMode, selectedShape, selectedRotation, activeLayer }) {
+  composeHud({ dt, editMode, selectedShape, selectedRotation, activeLayer, gamepads = 0 }) {
     const fps = dt > 0 ? (1 / dt).toFixed(0) : '0';
     const mode = editMode ? 'EDICIÓN' : 'JUEGO';
     const rendererName = this.renderer.getDisplayName
@@ -212,22 +601,32 @@ export class GameRuntime {
     const bricks = this.world.bricks.length;
     const layerDisplay = Number.isFinite(activeLayer) ? Math.round(activeLayer) : this.activeEditLayer;
     const layerInfo = editMode ? ` | Capa: ${layerDisplay}` : '';
+    const debugInfo = this.debugOverlay ? ' | DEPURACIÓN' : '';
+    const gamepadInfo = gamepads > 0 ? ` | 🎮 Mando${gamepads > 1 ? `s: ${gamepads}` : ''}` : '';
 
-    const statusLine = `${rendererName} | FPS: ${fps} | Modo: ${mode}${animState}${rotInfo}${layerInfo}`;
+    const statusLine = `${rendererName} | FPS: ${fps} | Modo: ${mode}${animState}${rotInfo}${layerInfo}${debugInfo}${gamepadInfo}`;
     const helpLine = editMode
-      ? `Forma: ${selectedShape} | Bricks: ${bricks}`
-      : `A/D: Mover | Space: Saltar | Bricks: ${bricks}`;
+      ? `Forma: ${selectedShape} | Bricks: ${bricks} | F3: Depuración`
+      : `${this.composeControlsHelp()} | Bricks: ${bricks} | F3: Depuración`;
 
     return `${statusLine}\n${helpLine}`;
   }
 
+  composeControlsHelp() {
+    const label = (action) => this.inputBindings.getActionLabel(action);
+    const jump = label('jump');
+    return `${label('moveLeft')}/${label('moveRight')}: Mover | ${jump}: Saltar | ${label('down')}+${jump}: Bajar`;
+  }
+
+  // Levels are stored under 'level'; saves from before joints existed only have
+  // a 'bricks' array, which loadLevel still understands
   loadPersistedBricks() {
-    const saved = localStorage.getItem('bricks');
+    const saved = localStorage.getItem('level') ?? localStorage.getItem('bricks');
     if (!saved) return;
 
     try {
-      loadBricks(this.world, JSON.parse(saved));
-      console.log('Loaded', this.world.bricks.length, 'bricks from storage');
+      loadLevel(this.world, JSON.parse(saved));
+      console.log('Loaded', this.world.bricks.length, 'bricks and', this.world.joints.length, 'joints from storage');
     } catch (e) {
       console.error('Failed to load bricks:', e);
     }
@@ -235,7 +634,8 @@ export class GameRuntime {
 
   saveBricks() {
     try {
-      localStorage.setItem('bricks', JSON.stringify(serializeBricks(this.world)));
+      localStorage.setItem('level', JSON.stringify(serializeLevel(this.world)));
+      localStorage.removeItem('bricks');
     } catch (e) {
       console.error('Failed to save bricks:', e);
     }
@@ -245,7 +645,16 @@ export class GameRuntime {
     this.isEditMode = Boolean(value);
     this.renderer.setMode(this.isEditMode ? 'edit' : 'play');
     if (this.isEditMode) {
+      // Moving platforms are edited from the start of their path, broken
+      // bricks are edited whole and dynamic ones where they were placed
+      resetKinematicBodies(this.world);
+      resetBreakableBricks(this.world);
+      resetDynamicBodies(this.world);
       this.setEditPlaneDepth(this.activeEditLayer);
+    } else {
+      // Edits may have moved what sleeping bodies rest on
+      wakeAllBodies(this.world);
+      storeAuthoredPoses(this.world);
     }
     if (this.drawables.length) {
       this.renderer.syncDrawables(this.drawables);
@@ -0,0 +1,85 @@
+// Gamepads through the Gamepad API. Browsers do not push button or stick
+// changes, so the application polls once per frame and hands the result to
+// the runtime as one more input source, next to the keyboard. Buttons and
+// axes follow the "standard" mapping (Xbox/PlayStation layout)
+
+// Stick travel ignored around the center, so a worn stick does not drift
+export const STICK_DEADZONE = 0.2;
+// How far the stick must be pushed up or down to count as Up/Down
+export const STICK_VERTICAL_THRESHOLD = 0.5;
+
+// A/Cross jumps; B/Circle too, for players used to it
+const JUMP_BUTTONS = [0, 1];
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+// Radial deadzone: inside it the stick reads 0, outside the remaining travel
+// is rescaled to 0..1 so slow walking starts right at the edge
+export function applyDeadzone(x, y, deadzone = STICK_DEADZONE) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadzone) {
+    return { x: 0, y: 0 };
+  }
+  const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+  return { x: x * scale, y: y * scale };
+}
+
+function isPressed(pad, index) {
+  return Boolean(pad.buttons[index]?.pressed);
+}
+
+export class GamepadInput {
+  constructor() {
+    this.connected = new Map(); // index -> id
+    this.onConnected = this.onConnected.bind(this);
+    this.onDisconnected = this.onDisconnected.bind(this);
+  }
+
+  attach() {
+    window.addEventListener('gamepadconnected', this.onConnected);
+    window.addEventListener('gamepaddisconnected', this.onDisconnected);
+    return this;
+  }
+
+  detach() {
+    window.removeEventListener('gamepadconnected', this.onConnected);
+    window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+    this.connected.clear();
+  }
+
+  onConnected(event) {
+    this.connected.set(event.gamepad.index, event.gamepad.id);
+  }
+
+  onDisconnected(event) {
+    this.connected.delete(event.gamepad.index);
+  }
+
+  getConnectedCount() {
+    return this.connected.size;
+  }
+
+  // Actions held on every connected pad, merged: moveX is the analog stick
+  // (-1..1, the strongest pad wins), the rest are booleans like the keyboard's
+  poll() {
+    const actions = { moveX: 0, moveLeft: false, moveRight: false, up: false, down: false, jump: false };
+    if (this.connected.size === 0 || !navigator.getGamepads) {
+      return actions;
+    }
+
+    Array.from(navigator.getGamepads()).forEach((pad) => {
+      if (!pad || !pad.connected || !this.connected.has(pad.index)) {
+        return;
+      }
+      const stick = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+      if (Math.abs(stick.x) > Math.abs(actions.moveX)) {
+        actions.moveX = stick.x;
+      }
+      actions.moveLeft = actions.moveLeft || isPressed(pad, DPAD.left);
+      actions.moveRight = actions.moveRight || isPressed(pad, DPAD.right);
+      actions.up = actions.up || isPressed(pad, DPAD.up) || stick.y < -STICK_VERTICAL_THRESHOLD;
+      actions.down = actions.down || isPressed(pad, DPAD.down) || stick.y > STICK_VERTICAL_THRESHOLD;
+      actions.jump = actions.jump || JUMP_BUTTONS.some((index) => isPressed(pad, index));
+    });
+    return actions;
+  }
+}
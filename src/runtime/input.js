@@ -0,0 +1,147 @@
+// Input actions: gameplay code asks for 'moveLeft' or 'jump', never for a key.
+// Each action is bound to up to MAX_BINDINGS keys by KeyboardEvent.code (the
+// physical key, so WASD stays in place on AZERTY); the labels shown to the
+// player come from the keyboard layout when the browser exposes it
+export const INPUT_ACTIONS = ['moveLeft', 'moveRight', 'up', 'down', 'jump'];
+
+export const DEFAULT_BINDINGS = {
+  moveLeft: ['KeyA', 'ArrowLeft'],
+  moveRight: ['KeyD', 'ArrowRight'],
+  up: ['KeyW', 'ArrowUp'],
+  down: ['KeyS', 'ArrowDown'],
+  jump: ['Space'],
+};
+
+export const MAX_BINDINGS = 2;
+
+const STORAGE_KEY = 'inputBindings';
+
+const KEY_LABELS = {
+  Space: 'Espacio',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'Shift dcho.',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'Ctrl dcho.',
+  AltLeft: 'Alt',
+  AltRight: 'AltGr',
+  Enter: 'Intro',
+  Tab: 'Tab',
+};
+
+// Keys that cannot be bound: the debug layer, and Escape, which cancels a
+// rebinding
+const RESERVED_KEYS = new Set(['F3', 'Escape']);
+
+function cloneBindings(bindings) {
+  return Object.fromEntries(INPUT_ACTIONS.map((action) => [action, [...bindings[action]]]));
+}
+
+export class InputBindings {
+  constructor() {
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.layoutMap = null;
+  }
+
+  // Saved bindings replace the defaults action by action; unknown actions
+  // and malformed entries are ignored
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (!saved || typeof saved !== 'object') return this;
+      INPUT_ACTIONS.forEach((action) => {
+        const codes = saved[action];
+        if (!Array.isArray(codes)) return;
+        this.bindings[action] = codes
+          .filter((code) => typeof code === 'string' && code && !RESERVED_KEYS.has(code))
+          .slice(0, MAX_BINDINGS);
+      });
+    } catch (e) {
+      console.error('Failed to load input bindings:', e);
+    }
+    return this;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (e) {
+      console.error('Failed to save input bindings:', e);
+    }
+  }
+
+  // The layout map turns 'KeyQ' into 'A' on AZERTY. Not every browser has
+  // it; labels fall back to the code
+  async loadKeyboardLayout() {
+    try {
+      this.layoutMap = (await navigator.keyboard?.getLayoutMap?.()) || null;
+    } catch (e) {
+      this.layoutMap = null;
+    }
+    return this.layoutMap;
+  }
+
+  getBindings(action) {
+    return this.bindings[action] || [];
+  }
+
+  isBound(code) {
+    return INPUT_ACTIONS.some((action) => this.bindings[action].includes(code));
+  }
+
+  canBind(code) {
+    return typeof code === 'string' && code !== '' && !RESERVED_KEYS.has(code);
+  }
+
+  // Put a key in one of the action's slots. A key drives a single action, so
+  // it is taken away from any other one first
+  bind(action, slot, code) {
+    if (!INPUT_ACTIONS.includes(action) || !this.canBind(code)) return false;
+    const index = Math.min(Math.max(Math.round(slot) || 0, 0), MAX_BINDINGS - 1);
+    INPUT_ACTIONS.forEach((other) => {
+      this.bindings[other] = this.bindings[other].filter((item) => item !== code);
+    });
+    const codes = this.bindings[action];
+    codes[Math.min(index, codes.length)] = code;
+    this.save();
+    return true;
+  }
+
+  unbind(action, slot) {
+    if (!INPUT_ACTIONS.includes(action)) return;
+    this.bindings[action] = this.bindings[action].filter((_, index) => index !== slot);
+    this.save();
+  }
+
+  reset() {
+    this.bindings = cloneBindings(DEFAULT_BINDINGS);
+    this.save();
+  }
+
+  // Which actions the pressed keys (code -> boolean) trigger
+  getActions(keys) {
+    const actions = {};
+    INPUT_ACTIONS.forEach((action) => {
+      actions[action] = this.bindings[action].some((code) => Boolean(keys[code]));
+    });
+    return actions;
+  }
+
+  getKeyLabel(code) {
+    if (!code) return '—';
+    const fromLayout = this.layoutMap?.get(code);
+    if (fromLayout && fromLayout.trim()) return fromLayout.toUpperCase();
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+  }
+
+  // First key of an action, for hints such as the HUD's
+  getActionLabel(action) {
+    return this.getKeyLabel(this.getBindings(action)[0]);
+  }
+}
@@ -0,0 +1,223 @@
+// On-screen controls for touch screens: a virtual stick and a jump button
+// over the canvas (markup and styles in index.html). Like the gamepad, the
+// application reads them once per frame and hands them to the runtime as one
+// more input source. They show up on touch-first devices, or the first time
+// the screen is touched, and hide in edit mode
+import { applyDeadzone, STICK_VERTICAL_THRESHOLD } from './gamepad.js';
+
+// 'right': stick on the left, jump under the right thumb; 'left' mirrors it
+export const TOUCH_LAYOUTS = ['right', 'left'];
+
+const STORAGE_KEY = 'touchLayout';
+
+function loadLayout() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return TOUCH_LAYOUTS.includes(saved) ? saved : 'right';
+  } catch (e) {
+    return 'right';
+  }
+}
+
+function isTouchFirstDevice() {
+  return Boolean(window.matchMedia?.('(pointer: coarse)').matches);
+}
+
+export class TouchControls {
+  constructor() {
+    this.ui = {
+      container: null,
+      stick: null,
+      knob: null,
+      jump: null,
+      layoutButtons: [],
+    };
+    this.layout = loadLayout();
+    this.touchDetected = false;
+    this.editMode = false;
+
+    // One finger may steer while others press jump: each control follows its
+    // own pointer ids
+    this.stickPointer = null;
+    this.stickOffset = { x: 0, y: 0 }; // -1..1 from the stick's center
+    this.jumpPointers = new Set();
+
+    this.onWindowPointerDown = this.onWindowPointerDown.bind(this);
+    this.onStickDown = this.onStickDown.bind(this);
+    this.onStickMove = this.onStickMove.bind(this);
+    this.onStickUp = this.onStickUp.bind(this);
+    this.onJumpDown = this.onJumpDown.bind(this);
+    this.onJumpUp = this.onJumpUp.bind(this);
+    this.onLayoutClick = this.onLayoutClick.bind(this);
+  }
+
+  attach() {
+    this.ui.container = document.getElementById('touch-controls');
+    this.ui.stick = document.getElementById('touch-stick');
+    this.ui.knob = document.getElementById('touch-stick-knob');
+    this.ui.jump = document.getElementById('touch-jump');
+    if (!this.ui.container || !this.ui.stick || !this.ui.jump) {
+      return this;
+    }
+
+    this.touchDetected = isTouchFirstDevice();
+    window.addEventListener('pointerdown', this.onWindowPointerDown, true);
+    this.ui.stick.addEventListener('pointerdown', this.onStickDown);
+    this.ui.stick.addEventListener('pointermove', this.onStickMove);
+    this.ui.stick.addEventListener('pointerup', this.onStickUp);
+    this.ui.stick.addEventListener('pointercancel', this.onStickUp);
+    this.ui.jump.addEventListener('pointerdown', this.onJumpDown);
+    this.ui.jump.addEventListener('pointerup', this.onJumpUp);
+    this.ui.jump.addEventListener('pointercancel', this.onJumpUp);
+
+    this.ui.layoutButtons = Array.from(document.querySelectorAll('[data-touch-layout]'));
+    this.ui.layoutButtons.forEach((button) => {
+      button.addEventListener('click', this.onLayoutClick);
+    });
+
+    this.updateVisibility();
+    return this;
+  }
+
+  detach() {
+    window.removeEventListener('pointerdown', this.onWindowPointerDown, true);
+    this.ui.stick?.removeEventListener('pointerdown', this.onStickDown);
+    this.ui.stick?.removeEventListener('pointermove', this.onStickMove);
+    this.ui.stick?.removeEventListener('pointerup', this.onStickUp);
+    this.ui.stick?.removeEventListener('pointercancel', this.onStickUp);
+    this.ui.jump?.removeEventListener('pointerdown', this.onJumpDown);
+    this.ui.jump?.removeEventListener('pointerup', this.onJumpUp);
+    this.ui.jump?.removeEventListener('pointercancel', this.onJumpUp);
+    this.ui.layoutButtons.forEach((button) => {
+      button.removeEventListener('click', this.onLayoutClick);
+    });
+    this.release();
+  }
+
+  setEditMode(editMode) {
+    this.editMode = Boolean(editMode);
+    if (this.editMode) {
+      this.release();
+    }
+    this.updateVisibility();
+  }
+
+  setLayout(layout) {
+    if (!TOUCH_LAYOUTS.includes(layout)) {
+      return;
+    }
+    this.layout = layout;
+    try {
+      localStorage.setItem(STORAGE_KEY, layout);
+    } catch (e) {
+      console.error('Failed to save touch layout:', e);
+    }
+    this.updateVisibility();
+  }
+
+  getLayout() {
+    return this.layout;
+  }
+
+  isVisible() {
+    return this.touchDetected && !this.editMode;
+  }
+
+  // Same shape as the gamepad's actions: moveX is analog, the rest booleans
+  getActions() {
+    const stick = applyDeadzone(this.stickOffset.x, this.stickOffset.y);
+    return {
+      moveX: stick.x,
+      up: stick.y < -STICK_VERTICAL_THRESHOLD,
+      down: stick.y > STICK_VERTICAL_THRESHOLD,
+      jump: this.jumpPointers.size > 0,
+    };
+  }
+
+  onLayoutClick(event) {
+    this.setLayout(event.currentTarget.dataset.touchLayout);
+  }
+
+  // A laptop with a touch screen reports a fine pointer, so the controls also
+  // appear on the first real touch
+  onWindowPointerDown(event) {
+    if (event.pointerType === 'touch' && !this.touchDetected) {
+      this.touchDetected = true;
+      this.updateVisibility();
+    }
+  }
+
+  onStickDown(event) {
+    if (this.stickPointer !== null) {
+      return;
+    }
+    event.preventDefault();
+    this.stickPointer = event.pointerId;
+    // Capture keeps the thumb steering after it slides off the stick
+    this.ui.stick.setPointerCapture(event.pointerId);
+    this.moveStick(event);
+  }
+
+  onStickMove(event) {
+    if (event.pointerId === this.stickPointer) {
+      this.moveStick(event);
+    }
+  }
+
+  onStickUp(event) {
+    if (event.pointerId === this.stickPointer) {
+      this.releaseStick();
+    }
+  }
+
+  moveStick(event) {
+    const rect = this.ui.stick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (event.clientX - rect.left - radius) / radius;
+    let y = (event.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    this.stickOffset = { x, y };
+    if (this.ui.knob) {
+      this.ui.knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+    }
+  }
+
+  releaseStick() {
+    this.stickPointer = null;
+    this.stickOffset = { x: 0, y: 0 };
+    if (this.ui.knob) {
+      this.ui.knob.style.transform = '';
+    }
+  }
+
+  onJumpDown(event) {
+    event.preventDefault();
+    this.jumpPointers.add(event.pointerId);
+    this.ui.jump.setPointerCapture(event.pointerId);
+    this.ui.jump.classList.add('pressed');
+  }
+
+  onJumpUp(event) {
+    this.jumpPointers.delete(event.pointerId);
+    this.ui.jump.classList.toggle('pressed', this.jumpPointers.size > 0);
+  }
+
+  // Hiding the controls mid-touch means their pointerup may never arrive
+  release() {
+    this.releaseStick();
+    this.jumpPointers.clear();
+    this.ui.jump?.classList.remove('pressed');
+  }
+
+  updateVisibility() {
+    this.ui.container?.classList.toggle('hidden', !this.isVisible());
+    this.ui.container?.classList.toggle('left-handed', this.layout === 'left');
+    this.ui.layoutButtons.forEach((button) => {
+      button.classList.toggle('active', button.dataset.touchLayout === this.layout);
+    });
+  }
+}